@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Check coring plans without a browser: prints the bowl report and the validation warnings
+ * of each plan file and optionally writes its cross-section as SVG next to it.
+ *
+ * Usage: node cli.js [options] plan.json...
+ *   --min-wall <mm>      Minimum wall thickness between neighbouring cuts (default 10).
+ *   --min-base <mm>      Minimum base thickness between neighbouring cuts (default 10).
+ *   --density <kg/m³>    Wood density for the bowl weights (default Ash).
+ *   --svg                Write plan.svg next to plan.json.
+ *   --json               Print the results as JSON.
+ *
+ * The plans are the files saved by the page. Hand-written plans only need the workpiece,
+ * the cutter and the cuts, format, version and assembly may be left out. The cutter is either
+ * a full cutter (name, radius, kerf and arcDegrees) or only {"diameter": mm}, read like a
+ * version 1 plan with the kerf and sweep of the default cutter. An irregular blank has its
+ * outline in workpiece.profile, see BlankProfile in model.js.
+ * Exits with 1 if a plan has warnings and with 2 if a plan or an option is unreadable.
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+    Vector, Cut, DEFAULT_MACHINES, PLAN_FORMAT, PLAN_VERSION, CoringPlan, WOOD_SPECIES,
+    BlankProfile, BowlReport, PlanValidator, PlanSvg,
+} = require("./model.js");
+
+const USAGE = "Usage: node cli.js [--min-wall mm] [--min-base mm] [--density kg/m³] [--svg] [--json] plan.json...";
+
+/**
+ * @param {string[]} args - The command-line arguments after the script.
+ * @returns {object} The options and the plan files.
+ * @throws {Error} If an option is unknown or its value is not a positive number.
+ */
+function parseArgs(args) {
+    const options = { minWall: 10, minBase: 10, density: WOOD_SPECIES[0].density, svg: false, json: false, files: [] };
+    const numbers = { "--min-wall": "minWall", "--min-base": "minBase", "--density": "density" };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (numbers[arg]) {
+            const value = Number(args[++i]);
+            if (!(value > 0)) {
+                throw new Error(`${arg} needs a positive number`);
+            }
+            options[numbers[arg]] = value;
+        } else if (arg === "--svg" || arg === "--json") {
+            options[arg.slice(2)] = true;
+        } else if (arg.startsWith("--")) {
+            throw new Error(`unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+    if (options.files.length == 0) {
+        throw new Error("no plan file given");
+    }
+    return options;
+}
+
+/**
+ * Read a plan file, filling in what hand-written plans may leave out.
+ * @param {string} file - The path.
+ * @returns {object} The normalized plan, see CoringPlan.parse.
+ * @throws {Error} If the file is not a readable plan.
+ */
+function readPlan(file) {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    // a cutter given by its diameter only is how version 1 stored it
+    const cutter = data && data.cutter;
+    const onlyDiameter = cutter && cutter.name === undefined && cutter.diameter !== undefined;
+    return CoringPlan.parse({
+        format: PLAN_FORMAT,
+        version: onlyDiameter ? 1 : PLAN_VERSION,
+        assembly: { center: { x: 0, y: 0 }, rotation: 0 },
+        ...data,
+    });
+}
+
+/**
+ * @param {object} plan - The normalized plan.
+ * @param {object} options - See parseArgs.
+ * @returns {object} The bowls, the kerf volume, the warnings and the SVG.
+ */
+function checkPlan(plan, options) {
+    const workpieceDim = new Vector(plan.workpiece.height, plan.workpiece.diameter);
+    const cuts = plan.cuts.map(data => new Cut(new Vector(data.center.x, data.center.y), data.rotation, data.radius, data.arcDegrees));
+    const kerf = plan.cutter.kerf;
+    const profile = plan.workpiece.profile;
+    const outline = profile ? BlankProfile.woodOutline(profile) : null;
+    const bowls = BowlReport.compute(cuts, kerf, workpieceDim, outline);
+    const warnings = PlanValidator.validate({
+        cuts,
+        currentCut: null,
+        kerf,
+        workpieceDim,
+        machine: plan.machine || DEFAULT_MACHINES[0],
+        minWall: options.minWall,
+        minBase: options.minBase,
+        mount: plan.workpiece.mount,
+        outline,
+    });
+    return {
+        bowls: bowls.map(bowl => ({ ...bowl, weight: BowlReport.weight(bowl.volume, options.density) })),
+        kerfVolume: BowlReport.kerfVolume(cuts, kerf, workpieceDim, outline),
+        warnings: warnings.map(warning => warning.message),
+        svg: PlanSvg.build({ workpieceDim, cuts, kerf, bowls, mount: plan.workpiece.mount, profile }),
+    };
+}
+
+/**
+ * @param {string} file - The plan file.
+ * @param {object} plan - The normalized plan.
+ * @param {object} result - See checkPlan.
+ * @returns {string} The report as text.
+ */
+function formatReport(file, plan, result) {
+    const mm = (value) => value === null ? "–" : `${value.toFixed(0)} mm`;
+    const litres = (volume) => `${(volume * 1e-6).toFixed(2)} l`;
+    const row = (cells) => "  " + cells.map((cell, i) => String(cell).padEnd(i == 0 ? 6 : 10)).join("").trimEnd();
+    const outline = plan.workpiece.profile ? " irregular" : "";
+    const lines = [
+        `${file}: Ø${plan.workpiece.diameter} × ${plan.workpiece.height} mm${outline} blank, ${plan.cutter.name} cutter, ${plan.cuts.length} cut${plan.cuts.length == 1 ? "" : "s"}`,
+    ];
+    if (result.bowls.length > 0) {
+        lines.push(row(["Bowl", "Rim Ø", "Depth", "Wall", "Base", "Foot Ø", "Volume", "Weight"]));
+        result.bowls.forEach(bowl => lines.push(row([bowl.index, mm(bowl.rimDiameter), mm(bowl.depth),
+            mm(bowl.wallThickness), mm(bowl.baseThickness), mm(bowl.footDiameter), litres(bowl.volume), `${bowl.weight.toFixed(1)} kg`])));
+        lines.push(`  Kerf waste ${litres(result.kerfVolume)}`);
+    }
+    if (result.warnings.length == 0) {
+        lines.push("  No warnings.");
+    } else {
+        result.warnings.forEach(message => lines.push(`  Warning: ${message}`));
+    }
+    return lines.join("\n");
+}
+
+function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (e) {
+        console.error(`${e.message}\n${USAGE}`);
+        return 2;
+    }
+
+    let exitCode = 0;
+    const results = [];
+    options.files.forEach(file => {
+        let plan;
+        let result;
+        try {
+            plan = readPlan(file);
+            result = checkPlan(plan, options);
+            if (options.svg) {
+                const svgFile = path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.svg`);
+                fs.writeFileSync(svgFile, result.svg);
+            }
+        } catch (e) {
+            console.error(`${file}: ${e.message}`);
+            exitCode = 2;
+            return;
+        }
+        if (result.warnings.length > 0) {
+            exitCode = Math.max(exitCode, 1);
+        }
+        if (options.json) {
+            const { svg, ...report } = result;
+            results.push({ file, ...report });
+        } else {
+            console.log(formatReport(file, plan, result));
+        }
+    });
+    if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+    }
+    return exitCode;
+}
+
+process.exitCode = main(process.argv.slice(2));
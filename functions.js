@@ -1,475 +1,1905 @@
 
 /**
- * Utility class for common mathematical operations and angle conversions.
+ * Utility class for exporting SVG.
  */
-class MathUtils {
+class ExportSvg {
+    /**
+     * Retrieve all CSS rules from the document.
+     * @returns {string} The concatenated CSS rules.
+     */
+    static getAllCSS() {
+        let cssRules = "";
+
+        // Iterate through all stylesheets
+        for (let i = 0; i < document.styleSheets.length; i++) {
+            const sheet = document.styleSheets[i];
+            if (sheet.href === null) { // Process only local stylesheets
+                try {
+                    // Check if the stylesheet is accessible
+                    if (sheet.cssRules) {
+                        for (let j = 0; j < sheet.cssRules.length; j++) {
+                            cssRules += sheet.cssRules[j].cssText + "\n";
+                        }
+                    }
+                } catch (e) {
+                    console.warn("Unable to access stylesheet:", sheet.href, e);
+                }
+            }
+        }
+
+        return cssRules;
+    }
+
+    /**
+     * Export the SVG content as a downloadable file.
+     * @param {SVGElement} svg - The SVG element to export.
+     */
+    static export(svg) {
+        // Clone the SVG to avoid modifying the original
+        const clonedSvg = svg.cloneNode(true);
+
+        // Add embedded CSS
+        const defs = document.createElementNS(svgNs, "defs");
+        const style = document.createElementNS(svgNs, "style");
+        style.textContent = ExportSvg.getAllCSS();
+        defs.appendChild(style);
+        clonedSvg.insertBefore(defs, clonedSvg.firstChild);
+
+        // Serialize the SVG
+        const serializer = new XMLSerializer();
+        const svgData = serializer.serializeToString(clonedSvg);
+
+        // Create a blob and trigger download
+        const blob = new Blob([svgData], { type: "image/svg+xml;charset=utf-8" });
+        downloadBlob(blob, "bowl_saver.svg");
+    }
+}
+
+/**
+ * Triangle meshes of the bowls, revolved around the lathe axis, as STL or OBJ files.
+ * The lathe axis becomes the x-axis, units are millimetres.
+ */
+class ExportMesh {
+    /**
+     * Revolve a closed profile around the x-axis into a watertight mesh.
+     * Profile points on the axis become a single vertex.
+     * @param {Vector[]} profile - The polygon, with y >= 0.
+     * @param {number} segments - The number of steps around the axis.
+     * @param {boolean} [hole=false] - Whether the polygon is a hole in the material, its faces point inwards.
+     * @returns {{vertices: number[][], triangles: number[][]}} The mesh, triangles wound counterclockwise seen from outside.
+     */
+    static revolve(profile, segments, hole = false) {
+        const onAxis = (p) => Math.abs(p.y) < 1e-9;
+        // drop repeated points, e.g. from clipping
+        let points = profile.filter((p, i) => {
+            const next = profile[(i + 1) % profile.length];
+            return Math.abs(p.x - next.x) > 1e-9 || Math.abs(p.y - next.y) > 1e-9;
+        });
+        // the winding must be counterclockwise for outward facing triangles, clockwise for a hole
+        const signedArea = points.reduce((sum, a, i) => {
+            const b = points[(i + 1) % points.length];
+            return sum + a.x * b.y - b.x * a.y;
+        }, 0);
+        if (signedArea < 0 != hole) {
+            points = [...points].reverse();
+        }
+
+        const vertices = [];
+        const rings = points.map(p => {
+            if (onAxis(p)) {
+                vertices.push([p.x, 0, 0]);
+                return new Array(segments).fill(vertices.length - 1);
+            }
+            const ring = [];
+            for (let j = 0; j < segments; j++) {
+                const angle = 2 * Math.PI * j / segments;
+                vertices.push([p.x, p.y * Math.cos(angle), p.y * Math.sin(angle)]);
+                ring.push(vertices.length - 1);
+            }
+            return ring;
+        });
+
+        const triangles = [];
+        points.forEach((a, i) => {
+            const next = (i + 1) % points.length;
+            const b = points[next];
+            if (onAxis(a) && onAxis(b)) {
+                return;
+            }
+            for (let j = 0; j < segments; j++) {
+                const k = (j + 1) % segments;
+                const a0 = rings[i][j], a1 = rings[i][k];
+                const b0 = rings[next][j], b1 = rings[next][k];
+                if (!onAxis(a)) {
+                    triangles.push([a0, b0, a1]);
+                }
+                if (!onAxis(b)) {
+                    triangles.push([a1, b0, b1]);
+                }
+            }
+        });
+        return { vertices, triangles };
+    }
+
     /**
-     * Convert degrees to radians.
-     * @param {number} degrees - The angle in degrees.
-     * @returns {number} The angle in radians.
+     * Revolve a region into one mesh, with a shell for every loop.
+     * @param {object[][]} loops - The region above the centerline, see MaterialRegion.
+     * @param {number} segments - The number of steps around the axis.
+     * @returns {{vertices: number[][], triangles: number[][]}} The mesh.
      */
-    static degreesToRadians(degrees) {
-        return (degrees * Math.PI) / 180;
+    static revolveRegion(loops, segments) {
+        const vertices = [];
+        const triangles = [];
+        MaterialRegion.polygons(loops).filter(({ points }) => points.length >= 3).forEach(({ points, hole }) => {
+            const mesh = ExportMesh.revolve(points, segments, hole);
+            triangles.push(...mesh.triangles.map(triangle => triangle.map(index => index + vertices.length)));
+            vertices.push(...mesh.vertices);
+        });
+        return { vertices, triangles };
     }
 
     /**
-     * Convert radians to degrees.
-     * @param {number} radians - The angle in radians.
-     * @returns {number} The angle in degrees.
+     * @param {{name: string, mesh: object}[]} solids - The named meshes from revolve.
+     * @returns {string} An ASCII STL file with one solid per mesh.
      */
-    static radiansToDegrees(radians) {
-        return (radians * 180) / Math.PI;
+    static toStl(solids) {
+        const number = (value) => value.toExponential(6);
+        return solids.map(({ name, mesh }) => {
+            const facets = mesh.triangles.map(triangle => {
+                const [a, b, c] = triangle.map(index => mesh.vertices[index]);
+                const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+                const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+                const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+                const length = Math.hypot(...n) || 1;
+                return `  facet normal ${n.map(value => number(value / length)).join(" ")}\n`
+                    + "    outer loop\n"
+                    + [a, b, c].map(vertex => `      vertex ${vertex.map(number).join(" ")}\n`).join("")
+                    + "    endloop\n"
+                    + "  endfacet\n";
+            }).join("");
+            return `solid ${name}\n${facets}endsolid ${name}\n`;
+        }).join("");
     }
 
     /**
-     * Calculate angle (in degrees) from arc length and radius.
-     * @param {number} radius - The radius of the arc.
-     * @param {number} length - The length of the arc.
-     * @returns {number} The angle in degrees.
+     * @param {{name: string, mesh: object}[]} solids - The named meshes from revolve.
+     * @returns {string} An OBJ file with one object per mesh.
      */
-    static angleFromArcLength(radius, length) {
-        return (length / radius) * (180 / Math.PI);
+    static toObj(solids) {
+        let offset = 1; // OBJ indices start at 1 and run through the whole file
+        const objects = solids.map(({ name, mesh }) => {
+            const lines = [`o ${name}`];
+            mesh.vertices.forEach(vertex => lines.push(`v ${vertex.map(value => +value.toFixed(4)).join(" ")}`));
+            mesh.triangles.forEach(triangle => lines.push(`f ${triangle.map(index => index + offset).join(" ")}`));
+            offset += mesh.vertices.length;
+            return lines.join("\n");
+        });
+        return `# Bowlsaver bowls, units mm, lathe axis along x\n${objects.join("\n")}\n`;
     }
 
     /**
-     * Normalize an angle to the range [0, 360).
-     * @param {number} angle - The angle to normalize.
-     * @returns {number} The normalized angle.
+     * Download the bowls as a mesh file.
+     * @param {object[][][]} regions - The bowl cross-sections from BowlReport.regions, as drawn.
+     * @param {string} format - "stl" or "obj".
+     * @param {number} segments - The number of steps around the axis.
+     * @param {number|null} [index=null] - The 0-based bowl to export, null for all bowls nested together.
      */
-    static normalizeAngle(angle) {
-        return (angle + 360) % 360;
+    static export(regions, format, segments, index = null) {
+        const solids = regions
+            .map((region, i) => ({ name: `bowl_${i + 1}`, mesh: ExportMesh.revolveRegion(region, segments) }))
+            .filter((solid, i) => (index === null || i === index) && solid.mesh.triangles.length > 0);
+        const text = format == "obj" ? ExportMesh.toObj(solids) : ExportMesh.toStl(solids);
+        const filename = index === null ? `bowl_saver_bowls.${format}` : `bowl_saver_bowl_${index + 1}.${format}`;
+        downloadBlob(new Blob([text], { type: "text/plain" }), filename);
     }
+}
 
+const DXF_LAYERS = [
+    { name: "WORKPIECE", color: 7, lineType: "CONTINUOUS" },
+    { name: "CENTERLINE", color: 1, lineType: "CENTER" },
+    { name: "CUTS", color: 5, lineType: "CONTINUOUS" },
+    { name: "KERF", color: 8, lineType: "CONTINUOUS" },
+    { name: "DIMENSIONS", color: 3, lineType: "CONTINUOUS" },
+];
+const DXF_TEXT_HEIGHT = 5;
+
+/**
+ * DXF (R12) file of the coring cross-section for CAD, built from the model in millimetres.
+ * R12 has no header variable for the drawing units, so set the units to millimetres on import.
+ * The stored cuts are drawn below the centerline like on screen and mirrored above it; a cut
+ * crossing the centerline thereby shows folded over the axis like the revolved cut, with the
+ * breakline between its tips unless the tip lies past the centerline.
+ * Layers: WORKPIECE (the blank outline, and the wood under the bark), CENTERLINE, CUTS (blade arcs
+ * and breaklines), KERF (kerf edges) and DIMENSIONS.
+ */
+class ExportDxf {
     /**
-     * Convert polar coordinates to Cartesian coordinates.
-     * @param {number} radius - The radius.
-     * @param {number} angleInDegrees - The angle in degrees.
-     * @returns {Vector} The Cartesian coordinates as a Vector.
+     * @param {object} model
+     * @param {Vector} model.workpieceDim - The blank height (x) and diameter (y).
+     * @param {Cut[]} model.cuts - The stored cuts.
+     * @param {number} model.kerf - The cutter kerf.
+     * @param {object|null} [model.profile=null] - The outline of an irregular blank, see BlankProfile.
+     * @returns {string} The DXF file.
      */
-    static polarToCartesian(radius, angleInDegrees) {
-        const angleInRadians = (angleInDegrees - 90) * (Math.PI / 180.0);
-        return new Vector(
-            radius * Math.cos(angleInRadians),
-            radius * Math.sin(angleInRadians)
-        );
+    static build({ workpieceDim, cuts, kerf, profile = null }) {
+        const entities = [];
+        const height = workpieceDim.x;
+        const rimY = workpieceDim.y / 2;
+        const woodOutline = profile ? BlankProfile.woodOutline(profile) : null;
+        // model y points away from the axis on the stored half, DXF y points up
+        const halves = [-1, 1];
+
+        const outlines = profile && profile.bark > 0
+            ? [BlankProfile.outline(profile), woodOutline]
+            : [BlankProfile.outline(profile || BlankProfile.cylinder(workpieceDim))];
+        outlines.forEach(outline => halves.forEach(sign => {
+            // not the closing edge along the centerline
+            entities.push(...outline.slice(1).map((to, i) =>
+                ExportDxf.line("WORKPIECE", new Vector(outline[i].x, sign * outline[i].y), new Vector(to.x, sign * to.y))));
+        }));
+        entities.push(ExportDxf.line("CENTERLINE", new Vector(-10, 0), new Vector(height + 10, 0)));
+
+        BowlReport.sortCuts(cuts).forEach((cut, i) => {
+            const tip = CutGeometry.tip(cut);
+            halves.forEach(sign => {
+                entities.push(
+                    ExportDxf.cutArc("CUTS", cut, 0, height, sign, woodOutline),
+                    ExportDxf.cutArc("KERF", cut, -kerf / 2, height, sign, woodOutline),
+                    ExportDxf.cutArc("KERF", cut, kerf / 2, height, sign, woodOutline));
+            });
+            if (!CutGeometry.crossesCenterline(cut, height)) {
+                halves.forEach(sign => entities.push(ExportDxf.line("CUTS", new Vector(tip.x, sign * tip.y), new Vector(tip.x, 0))));
+            } else if (tip.y > 0) {
+                entities.push(ExportDxf.line("CUTS", new Vector(tip.x, -tip.y), new Vector(tip.x, tip.y)));
+            }
+
+            const center = new Vector(cut.center.x, -cut.center.y);
+            entities.push(ExportDxf.text(new Vector(tip.x + 2, -tip.y - 2), `${i + 1}`));
+            entities.push(...ExportDxf.dimension(new Vector(height, center.y), center));
+            entities.push(...ExportDxf.dimension(new Vector(center.x, 0), center));
+            const entry = woodOutline
+                ? CutGeometry.outlineEntryPoint(cut, kerf / 2, woodOutline)
+                : CutGeometry.entryPoint(cut, kerf / 2, height);
+            if (entry) {
+                entities.push(...ExportDxf.dimension(new Vector(entry.x, -entry.y), new Vector(entry.x, -rimY)));
+            }
+        });
+
+        entities.push(...ExportDxf.dimension(new Vector(0, rimY + 15), new Vector(height, rimY + 15)));
+        entities.push(...ExportDxf.dimension(new Vector(-15, -rimY), new Vector(-15, rimY)));
+
+        return ExportDxf.groups([
+            [0, "SECTION"], [2, "HEADER"],
+            [9, "$ACADVER"], [1, "AC1009"],
+            [0, "ENDSEC"],
+            [0, "SECTION"], [2, "TABLES"],
+            [0, "TABLE"], [2, "LTYPE"], [70, 2],
+            [0, "LTYPE"], [2, "CONTINUOUS"], [70, 0], [3, "Solid line"], [72, 65], [73, 0], [40, 0],
+            [0, "LTYPE"], [2, "CENTER"], [70, 0], [3, "Center ____ _ ____ _"], [72, 65], [73, 4], [40, 50.8],
+            [49, 31.75], [49, -6.35], [49, 6.35], [49, -6.35],
+            [0, "ENDTAB"],
+            [0, "TABLE"], [2, "LAYER"], [70, DXF_LAYERS.length],
+            ...DXF_LAYERS.flatMap(layer => [[0, "LAYER"], [2, layer.name], [70, 0], [62, layer.color], [6, layer.lineType]]),
+            [0, "ENDTAB"],
+            [0, "ENDSEC"],
+            [0, "SECTION"], [2, "ENTITIES"],
+            ...entities.flat(),
+            [0, "ENDSEC"],
+            [0, "EOF"],
+        ]);
     }
 
-    static normalizeAngle(angle) {
-        return (angle + 360) % 360;
+    // One group code and value per line each
+    static groups(pairs) {
+        const value = (v) => typeof v === "number" ? String(+v.toFixed(6)) : v;
+        return pairs.map(([code, v]) => `${code}\n${value(v)}`).join("\n") + "\n";
+    }
+
+    static line(layer, from, to) {
+        return [[0, "LINE"], [8, layer], [10, from.x], [20, from.y], [30, 0], [11, to.x], [21, to.y], [31, 0]];
+    }
+
+    static text(position, text, layer = "DIMENSIONS") {
+        return [[0, "TEXT"], [8, layer], [10, position.x], [20, position.y], [30, 0], [40, DXF_TEXT_HEIGHT], [1, text]];
     }
 
     /**
-     * Checks if an angle is between two other angles, considering wrapping and negative angles.
-     * @param {number} angle - The angle to check (in degrees).
-     * @param {number} startAngle - The start of the range (in degrees).
-     * @param {number} endAngle - The end of the range (in degrees).
-     * @returns {boolean} True if the angle is within the range, false otherwise.
+     * ARC entity of a (kerf offset) cut from the tip up to the blank face, or the whole blade if it misses the face.
+     * @param {string} layer - The layer.
+     * @param {Cut} cut - The cut.
+     * @param {number} offset - Added to the cut radius.
+     * @param {number} faceX - The x-coordinate of the blank face.
+     * @param {number} sign - -1 for the half below the centerline, 1 for the mirrored half.
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, entered instead of the face.
      */
-    static isAngleBetween(angle, startAngle, endAngle) {
-        // Normalize angles to the range [0, 360)
-        const normalizedAngle = MathUtils.normalizeAngle(angle);
-        const normalizedStart = MathUtils.normalizeAngle(startAngle);
-        const normalizedEnd = MathUtils.normalizeAngle(endAngle);
+    static cutArc(layer, cut, offset, faceX, sign, outline = null) {
+        const tipAngle = 90 + cut.rotation + cut.arcDegrees;
+        let startAngle = 90 + cut.rotation;
+        const entry = outline
+            ? CutGeometry.outlineEntryPoint(cut, offset, outline)
+            : CutGeometry.entryPoint(cut, offset, faceX);
+        if (entry) {
+            const rel = entry.subtract(cut.center);
+            startAngle = tipAngle - MathUtils.normalizeAngle(tipAngle - rel.arg());
+        }
+        // DXF arcs run counterclockwise, mirroring reverses the direction
+        const [from, to] = sign > 0 ? [startAngle, tipAngle] : [-tipAngle, -startAngle];
+        return [[0, "ARC"], [8, layer],
+            [10, cut.center.x], [20, sign * cut.center.y], [30, 0], [40, cut.radius + offset],
+            [50, MathUtils.normalizeAngle(from)], [51, MathUtils.normalizeAngle(to)]];
+    }
 
-        // If the range doesn't cross 0
-        if (normalizedStart <= normalizedEnd) {
-            return normalizedAngle >= normalizedStart && normalizedAngle <= normalizedEnd;
+    // Dimension line with ticks and the length as text, as separate entities
+    static dimension(from, to) {
+        const dir = to.subtract(from);
+        const length = dir.magnitude();
+        if (length < 1e-6) {
+            return [];
         }
-        // If the range crosses 0
-        return normalizedAngle >= normalizedStart || normalizedAngle <= normalizedEnd;
+        const normal = new Vector(-dir.y, dir.x).scale(2 / length);
+        const middle = from.add(to).scale(0.5);
+        return [
+            ExportDxf.line("DIMENSIONS", from, to),
+            ExportDxf.line("DIMENSIONS", from.subtract(normal), from.add(normal)),
+            ExportDxf.line("DIMENSIONS", to.subtract(normal), to.add(normal)),
+            ExportDxf.text(middle.add(normal), `${length.toFixed(0)} mm`),
+        ];
     }
 
+    /**
+     * Download the cross-section as a DXF file.
+     * @param {object} model - See build.
+     */
+    static export(model) {
+        downloadBlob(new Blob([ExportDxf.build(model)], { type: "application/dxf" }), "bowl_saver.dxf");
+    }
+}
+
+/**
+ * Trigger a browser download of a blob.
+ * @param {Blob} blob - The file content.
+ * @param {string} filename - The suggested file name.
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
 
+/**
+ * Undo/redo stack. A command is any object with execute() and undo().
+ */
+class CommandHistory {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange = () => { };
+    }
 
     /**
-     * Find the intersection points between a line and an arc.
-     * @param {Vector} arcCenter - The center of the arc.
-     * @param {number} r - The radius of the arc.
-     * @param {number} arcStart - The start angle of the arc (in degrees).
-     * @param {number} arcEnd - The end angle of the arc (in degrees).
-     * @param {number} x0 - The x-coordinate of the vertical line.
-     * @returns {Vector[]} An array of intersection points that lie on the arc.
+     * Execute a command and record it.
+     * @param {object} command - The command to execute.
      */
-    static intersectionLineArcVertical(
-        arcCenter,
-        r,
-        arcStart,
-        arcEnd,
-        x0 = 0,
-    ) {
-        const h = arcCenter.x;
-        const k = arcCenter.y;
+    execute(command) {
+        command.execute();
+        this.push(command);
+    }
 
-        const discriminant = r * r - (x0 - h) * (x0 - h);
-        if (discriminant < 0) {
-            return []; // No intersection
+    /**
+     * Record a command whose effect has already been applied (e.g. at the end of a drag).
+     * @param {object} command - The command to record.
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
         }
-        const sqrtD = Math.sqrt(discriminant);
-        return MathUtils.getIntersectingArcs(new Vector(x0, k + sqrtD), new Vector(x0, k - sqrtD), arcCenter, arcStart, arcEnd);
+        this.redoStack = [];
+        this.onChange();
     }
 
+    /**
+     * @returns {object|null} The command undo would revert.
+     */
+    peek() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
 
+    undo() {
+        const command = this.undoStack.pop();
+        if (command) {
+            command.undo();
+            this.redoStack.push(command);
+            this.onChange();
+        }
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (command) {
+            command.execute();
+            this.undoStack.push(command);
+            this.onChange();
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange();
+    }
+}
+
+/**
+ * Command that runs an action modifying the cuts of a drawing.
+ * The state before and after the first run is captured, redo and undo restore it.
+ */
+class DrawingCommand {
     /**
-     * Find the intersection points between a line and an arc.
-     * @param {Vector} arcCenter - The center of the arc.
-     * @param {number} r - The radius of the arc.
-     * @param {number} arcStart - The start angle of the arc (in degrees).
-     * @param {number} arcEnd - The end angle of the arc (in degrees).
-     * @param {number} y0 - The y-coordinate of the horizontal line.
-     * @returns {Vector[]} An array of intersection points that lie on the arc.
+     * @param {Drawing} drawing - The drawing to modify.
+     * @param {function} action - Mutates the drawing.
      */
-    static intersectionLineArcHorizontal(
-        arcCenter,
-        r,
-        arcStart,
-        arcEnd,
-        isHorizontal = false,
-        y0 = 0
-    ) {
-        const h = arcCenter.x;
-        const k = arcCenter.y;
+    constructor(drawing, action) {
+        this.drawing = drawing;
+        this.action = action;
+        this.before = null;
+        this.after = null;
+    }
 
-        // For a horizontal line, (y = y0),
-        // circle eqn => (x - h)^2 + (y - k)^2 = r^2
-        // Plug y0 in => (x - h)^2 + (y0 - k)^2 = r^2
-        const term = r * r - (y0 - k) * (y0 - k);
-        if (term < 0) {
-            return []; // No intersection
+    execute() {
+        if (this.after) {
+            this.drawing.restoreState(this.after);
+            return;
         }
-        const sqrtT = Math.sqrt(term);
-        return MathUtils.getIntersectingArcs(new Vector(h + sqrtT, y0), new Vector(h - sqrtT, y0), arcCenter, arcStart, arcEnd);
+        this.before = this.drawing.captureState();
+        this.action();
+        this.after = this.drawing.captureState();
     }
 
+    undo() {
+        this.drawing.restoreState(this.before);
+    }
+}
 
+/**
+ * Command that moves and rotates the cutter assembly, recorded once per drag.
+ */
+class MoveAssemblyCommand {
     /**
-     * Find the intersection points between a line and an arc.
-     * @param {Vector} arcCenter - The center of the arc.
-     * @param {number} r - The radius of the arc.
-     * @param {number} arcStart - The start angle of the arc (in degrees).
-     * @param {number} arcEnd - The end angle of the arc (in degrees).
-     * @param {number} m - The slope of the line (ignored if line is vertical or horizontal).
-     * @param {number} c - The y-intercept of the line (ignored if line is vertical/horizontal).
-     * @returns {Vector[]} An array of intersection points that lie on the arc.
+     * @param {CutterAssembly} assembly - The assembly.
+     * @param {{center: Vector, rotation: number}} from - The pose before the move.
+     * @param {{center: Vector, rotation: number}} to - The pose after the move.
      */
-    static intersectionLineArcAngle(
-        arcCenter,
-        r,
-        arcStart,
-        arcEnd,
-        m,
-        c,
-    ) {
-        const h = arcCenter.x;
-        const k = arcCenter.y;
+    constructor(assembly, from, to) {
+        this.assembly = assembly;
+        this.from = from;
+        this.to = to;
+    }
+
+    execute() {
+        this.assembly.setPose(this.to);
+    }
 
-        const A = 1 + m * m;
-        const B = -2 * h + 2 * m * (c - k);
-        const C = h * h + (c - k) * (c - k) - r * r;
+    undo() {
+        this.assembly.setPose(this.from);
+    }
+}
 
-        const discriminant = B * B - 4 * A * C;
-        if (discriminant < 0) {
-            return []; // No intersection
+/**
+ * Command that changes the outline of the blank, recorded once per edit of the outline.
+ */
+class ProfileCommand {
+    /**
+     * @param {Drawing} drawing - The drawing.
+     * @param {object|null} from - The profile before the edit, see BlankProfile.
+     * @param {object|null} to - The profile after the edit.
+     */
+    constructor(drawing, from, to) {
+        this.drawing = drawing;
+        this.from = from;
+        this.to = to;
+    }
+
+    execute() {
+        this.drawing.setProfile(this.to);
+    }
+
+    undo() {
+        this.drawing.setProfile(this.from);
+    }
+}
+
+const PERMALINK_VERSION = 2;
+
+/**
+ * Compact URL-hash encoding of a coring plan, e.g.
+ * `#v=2&d=300&h=80&n=Small&c=90,10,90&a=150,20,0&k=150,20,0,90,90;170,40,-10,90,90`
+ * where `c` is the cutter (radius, kerf, sweep[, blade thickness]), `a` the assembly
+ * (x, y, rotation) and `k` the stored cuts (x, y, rotation, radius, sweep[, 1 if locked]).
+ * The optional `m` holds the machine profile as JSON, `t` the mount (type, diameter, depth) and
+ * `p` the outline of an irregular blank (bark, 1 if smooth; then x, y of every point).
+ * Version 1 links, with `c` the cutter diameter and cuts without sweep, are still read.
+ */
+class PlanPermalink {
+    /**
+     * Encode a plan as a URL hash.
+     * @param {object} plan - The plan, see CoringPlan.
+     * @returns {string} The hash including the leading "#".
+     */
+    static encode(plan) {
+        // String(number) is the shortest representation that parses back to the same number
+        const list = (values) => values.map(String).join(",");
+        const cutter = plan.cutter;
+        const params = {
+            v: PERMALINK_VERSION,
+            d: plan.workpiece.diameter,
+            h: plan.workpiece.height,
+            n: cutter.name,
+            c: list([cutter.radius, cutter.kerf, cutter.arcDegrees]
+                .concat(cutter.bladeThickness === null ? [] : [cutter.bladeThickness])),
+            a: list([plan.assembly.center.x, plan.assembly.center.y, plan.assembly.rotation]),
+            k: plan.cuts.map(cut => list([cut.center.x, cut.center.y, cut.rotation, cut.radius, cut.arcDegrees]
+                .concat(cut.locked ? [1] : []))).join(";"),
+        };
+        if (plan.machine) {
+            params.m = JSON.stringify(plan.machine);
+        }
+        if (plan.workpiece.mount) {
+            const mount = plan.workpiece.mount;
+            params.t = list([mount.type, mount.diameter, mount.depth]);
         }
-        const sqrtDiscriminant = Math.sqrt(discriminant);
+        if (plan.workpiece.profile) {
+            const profile = plan.workpiece.profile;
+            params.p = [list([profile.bark, profile.smooth ? 1 : 0]), ...profile.points.map(p => list([p.x, p.y]))].join(";");
+        }
+        // Keep the separators readable, only escape what URLSearchParams would misread (e.g. "+" in 1e+21)
+        const encode = (value) => encodeURIComponent(value).replace(/%2C/g, ",").replace(/%3B/g, ";");
+        return "#" + Object.keys(params).map(key => `${key}=${encode(params[key])}`).join("&");
+    }
+
+    /**
+     * Decode a URL hash.
+     * @param {string} hash - The hash, with or without the leading "#".
+     * @returns {object|null} The plan, or null if the hash is empty, malformed or of another version.
+     */
+    static decode(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ""));
+        const version = Number(params.get("v"));
+        if (version != 1 && version != PERMALINK_VERSION) {
+            return null;
+        }
+
+        const numbers = (text, ...counts) => {
+            const values = text.split(",").map(value => value.trim() === "" ? NaN : Number(value));
+            return counts.includes(values.length) && !values.some(isNaN) ? values : null;
+        };
 
-        const x1 = (-B + sqrtDiscriminant) / (2 * A);
-        const x2 = (-B - sqrtDiscriminant) / (2 * A);
+        const diameter = numbers(params.get("d") || "", 1);
+        const height = numbers(params.get("h") || "", 1);
+        const cutter = numbers(params.get("c") || "", ...(version == 1 ? [1] : [3, 4]));
+        const assembly = numbers(params.get("a") || "", 3);
+        const mount = params.has("t") ? params.get("t").split(",") : null;
+        const profile = params.has("p") ? params.get("p").split(";").map(text => numbers(text, 2)) : null;
+        const cuts = (params.get("k") || "").split(";").filter(text => text !== "")
+            .map(text => version == 1 ? numbers(text, 4) : numbers(text, 5, 6));
+        if (!diameter || !height || !cutter || !assembly || cuts.some(cut => !cut) || (mount && mount.length != 3)
+            || (profile && profile.some(values => !values))) {
+            return null;
+        }
 
-        return MathUtils.getIntersectingArcs(new Vector(x1, m * x1 + c), new Vector(x2, m * x2 + c), arcCenter, arcStart, arcEnd);
+        try {
+            return CoringPlan.parse({
+                format: PLAN_FORMAT,
+                version: version == 1 ? 1 : PLAN_VERSION,
+                machine: params.has("m") ? JSON.parse(params.get("m")) : null,
+                workpiece: {
+                    diameter: diameter[0],
+                    height: height[0],
+                    mount: mount ? { type: mount[0], diameter: Number(mount[1]), depth: Number(mount[2]) } : null,
+                    profile: profile ? {
+                        bark: profile[0][0],
+                        smooth: profile[0][1] == 1,
+                        points: profile.slice(1).map(([x, y]) => ({ x, y })),
+                    } : null,
+                },
+                cutter: version == 1 ? { diameter: cutter[0] } : {
+                    name: params.get("n"),
+                    radius: cutter[0],
+                    kerf: cutter[1],
+                    arcDegrees: cutter[2],
+                    bladeThickness: cutter.length > 3 ? cutter[3] : null,
+                },
+                assembly: { center: { x: assembly[0], y: assembly[1] }, rotation: assembly[2] },
+                cuts: cuts.map(([x, y, rotation, radius, arcDegrees, locked]) =>
+                    ({ center: { x, y }, rotation, radius, arcDegrees, locked: locked == 1 })),
+            });
+        } catch (e) {
+            return null;
+        }
     }
+}
 
-    static getIntersectingArcs(p1, p2, arcCenter, arcStart, arcEnd) {
-        const points = [];
-        if (isWithinArc(p1)) points.push(p1);
-        if (isWithinArc(p2)) points.push(p2);
-        return points;
-
-        // ---------------------------------------
-        // Helper to check if a point is on the arc
-        // ---------------------------------------
-        function isWithinArc(pt) {
-            // Convert point -> angle in degrees relative to arcCenter
-            // Then check arcStart..arcEnd (accounting for angle wrap).
-            const angle = pt.subtract(arcCenter).arg();
-            return MathUtils.isAngleBetween(angle, arcStart, arcEnd);
+
+function throttle(callback, limit) {
+    let lastCall = 0;
+    return (...args) => {
+        const now = Date.now();
+        if (now - lastCall >= limit) {
+            lastCall = now;
+            callback(...args);
+        }
+    };
+}
+
+function debounce(callback, wait) {
+    let timeout;
+    return (...args) => {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => callback(...args), wait);
+    };
+}
+
+function throttleToFrame(callback) {
+    let frame = null;
+    return (...args) => {
+        if (frame === null) {
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                callback(...args);
+            });
         }
+    };
+}
+
+// Pixels a pointer has to move before a press becomes a drag
+const DRAG_THRESHOLDS = { mouse: 3, pen: 3, touch: 8 };
+
+function evtToMouseCoords(e, svg) {
+    let point2D;
+    if (e.touches && e.touches.length > 0) {
+        const touch = e.touches[0]; // Get the first touch point
+        point2D = new DOMPointReadOnly(touch.clientX, touch.clientY);
+    } else if (e.clientX !== undefined && e.clientY !== undefined) {
+        point2D = new DOMPointReadOnly(e.clientX, e.clientY);
+    }
+    const pt = point2D.matrixTransform(svg.getScreenCTM().inverse());
+    return new Vector(pt.x, pt.y);
+}
+
+/**
+ * Drag an element with the mouse, a pen or a finger. The pointer is captured, so fast moves
+ * do not slip off the element, and the drag only starts once the pointer moved past a threshold.
+ * Escape or a pointercancel ends the drag where it started. A second finger on the element turns
+ * the drag into a two-finger gesture until all fingers are lifted.
+ */
+class Draggable {
+    /**
+     * @param {Element} element - The element to drag.
+     * @param {SVGSVGElement} svgRoot - The svg whose coordinates the callbacks get.
+     * @param {object} options - onDragStart(pos), onDrag(pos), onDragEnd(pos), onDragCancel(),
+     *  onGestureStart(points) and onGesture(points) with the two finger positions.
+     */
+    constructor(element, svgRoot, options) {
+        this.element = element;
+        this.svgRoot = svgRoot;
+        this.isDragging = false;
+        this.isGesture = false;
+        this.pointers = new Map(); // pointer id -> { start, last } pointer events
+
+        this.onDragStart = options.onDragStart || (() => { });
+        this.onDrag = options.onDrag || (() => { });
+        this.onDragEnd = options.onDragEnd || (() => { });
+        this.onDragCancel = options.onDragCancel || (() => { });
+        this.onGestureStart = options.onGestureStart || null;
+        this.onGesture = options.onGesture || (() => { });
+
+        this.cancelOnEscape = (e) => {
+            if (e.key === "Escape") {
+                e.preventDefault();
+                this.cancelDrag();
+            }
+        };
+        this.addEventListeners();
     }
 
+    addEventListeners() {
+        const events = [
+            { event: "pointerdown", handler: this.startDrag.bind(this) },
+            { event: "pointermove", handler: this.performDrag.bind(this) },
+            { event: "pointerup", handler: this.endDrag.bind(this) },
+            { event: "pointercancel", handler: this.cancelDrag.bind(this) },
+        ];
+        events.forEach(({ event, handler }) => {
+            this.element.addEventListener(event, handler);
+        });
+    }
+
+    startDrag(e) {
+        if (e.button != 0 || (this.pointers.size > 0 && !this.onGestureStart) || this.pointers.size == 2) {
+            return;
+        }
+        this.element.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { start: e, last: e });
+        if (this.pointers.size == 1) {
+            document.addEventListener("keydown", this.cancelOnEscape);
+        } else {
+            // the second finger: a gesture without threshold
+            this.begin();
+            this.isGesture = true;
+            this.onGestureStart(this.positions());
+        }
+    }
+
+    performDrag(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) {
+            return;
+        }
+        e.preventDefault();
+        pointer.last = e;
+        if (this.isGesture) {
+            if (this.pointers.size == 2) {
+                this.onGesture(this.positions());
+            }
+            return;
+        }
+        if (!this.isDragging) {
+            const threshold = DRAG_THRESHOLDS[e.pointerType] || DRAG_THRESHOLDS.mouse;
+            if (Math.hypot(e.clientX - pointer.start.clientX, e.clientY - pointer.start.clientY) < threshold) {
+                return;
+            }
+            this.begin();
+        }
+        this.onDrag(this.getCoords(e));
+    }
+
+    endDrag(e) {
+        if (!this.pointers.delete(e.pointerId) || this.pointers.size > 0) {
+            return;
+        }
+        const wasDragging = this.isDragging;
+        this.reset();
+        if (wasDragging) {
+            this.onDragEnd(this.getCoords(e));
+        }
+    }
+
+    cancelDrag() {
+        if (this.pointers.size == 0) {
+            return;
+        }
+        this.pointers.forEach((pointer, id) => {
+            if (this.element.hasPointerCapture(id)) {
+                this.element.releasePointerCapture(id);
+            }
+        });
+        const wasDragging = this.isDragging;
+        this.reset();
+        if (wasDragging) {
+            this.onDragCancel();
+        }
+    }
+
+    // Start dragging from where the first pointer went down
+    begin() {
+        if (!this.isDragging) {
+            this.isDragging = true;
+            this.onDragStart(this.getCoords(this.pointers.values().next().value.start));
+        }
+    }
+
+    reset() {
+        this.pointers.clear();
+        this.isDragging = false;
+        this.isGesture = false;
+        document.removeEventListener("keydown", this.cancelOnEscape);
+    }
+
+    positions() {
+        return [...this.pointers.values()].map(pointer => this.getCoords(pointer.last));
+    }
+
+    getCoords(e) {
+        return evtToMouseCoords(e, this.svgRoot);
+    }
 }
 
 /**
- * Represents a 2D vector with basic vector operations.
+ * Fill a <select> with the profiles of a ProfileLibrary, keeping the selection while it exists.
+ * @param {HTMLSelectElement} select - The select.
+ * @param {ProfileLibrary} library - The library.
+ * @param {function} label - Returns the option text of a profile.
  */
-class Vector {
+function fillProfileSelect(select, library, label) {
+    const selected = select.value;
+    select.replaceChildren(...library.items.map(item => new Option(label(item), item.id)));
+    if (library.get(selected)) {
+        select.value = selected;
+    }
+}
+
+function showValidationError(input, message) {
+    const errorSpan = document.createElement("span");
+    errorSpan.textContent = message;
+    errorSpan.style.color = "red";
+    input.parentNode.appendChild(errorSpan);
+}
+
+
+const svgNs = "http://www.w3.org/2000/svg";
+
+const DEFAULT_CUTTER_POSITION = new Vector(150, 20);
+const GRID_STEP = 50;
+const SNAP_TOLERANCE = 5; // mm a dragged plate center snaps from
+const WALL_SNAP_STEPS = 32; // positions tried outwards from the previous cut before bisecting
+const GRID_MAX_LINES = 100; // per direction, the grid gets coarser when zoomed out further
+const ZOOM_MIN_WIDTH = 20; // mm visible at the highest zoom
+const ZOOM_MAX_WIDTH = 10000;
+const PAN_SURFACES = ".root, .grid-line, .centerline, .workpiece, .bark"; // dragging these pans the view
+const ROTATION_DIM_RADIUS = 50; // mm around the pivot
+
+/**
+ * HTML table and form to add, edit, delete, import and export the profiles of a ProfileLibrary.
+ */
+class ProfileLibraryEditor {
     /**
-     * Construct a Vector.
-     * @param {number} x - The x-coordinate.
-     * @param {number} y - The y-coordinate.
+     * @param {HTMLElement} container - The element to render the editor into.
+     * @param {ProfileLibrary} library - The library to edit.
+     * @param {object} options
+     * @param {string} options.noun - What a profile is called, e.g. "cutter".
+     * @param {string} options.fileName - The name of the exported file.
+     * @param {{header: string, value: function}[]} options.columns - The table columns, value gets the profile.
+     * @param {object[][]} options.fields - The form inputs row by row: field, label and optionally
+     *  type (default "number"), placeholder and width (the column class, default "col-md").
+     * @param {function} options.toForm - Returns the field values of a profile, of a new one for null.
+     * @param {function} options.fromForm - Returns the profile data, gets text(field) and number(field),
+     *  the latter undefined for an empty field.
      */
-    constructor(x = 0, y = 0) {
-        this.x = x;
-        this.y = y;
+    constructor(container, library, options) {
+        this.container = container;
+        this.library = library;
+        this.options = options;
+        this.editingId = null;
+        this.library.addChangeListener(() => this.renderTable());
+
+        const { noun, columns, fields } = options;
+        const input = ({ field, label, type = "number", placeholder = "", width = "col-md" }) =>
+            `<div class="${width}"><label class="form-label">${label}</label><input type="${type}" class="form-control" data-field="${field}" placeholder="${placeholder}" /></div>`;
+        const rows = fields.map((row, i) => `
+            <div class="row g-2 align-items-end${i > 0 ? " mt-1" : ""}">
+                ${row.map(input).join("")}${i == fields.length - 1 ? `
+                <div class="col-md-auto">
+                    <button type="button" class="btn btn-primary" data-action="save">Add ${noun}</button>
+                    <button type="button" class="btn btn-outline-secondary" data-action="cancel">Cancel</button>
+                </div>` : ""}
+            </div>`).join("");
+        this.container.innerHTML = `
+            <table class="table table-sm">
+                <thead>
+                    <tr>${columns.map(column => `<th>${column.header}</th>`).join("")}<th></th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>${rows}
+            <div class="mt-2">
+                <button type="button" class="btn btn-outline-secondary btn-sm" data-action="import">Import JSON</button>
+                <button type="button" class="btn btn-outline-secondary btn-sm" data-action="export">Export JSON</button>
+                <input type="file" accept=".json,application/json" hidden />
+            </div>
+            <p class="text-danger mt-2" data-role="error"></p>`;
+
+        this.tbody = this.container.querySelector("tbody");
+        this.error = this.container.querySelector("[data-role=error]");
+        this.fileInput = this.container.querySelector("input[type=file]");
+        this.saveButton = this.container.querySelector("[data-action=save]");
+
+        this.saveButton.addEventListener("click", () => this.save());
+        this.container.querySelector("[data-action=cancel]").addEventListener("click", () => this.edit(null));
+        this.container.querySelector("[data-action=import]").addEventListener("click", () => this.fileInput.click());
+        this.container.querySelector("[data-action=export]").addEventListener("click", () => {
+            downloadBlob(new Blob([this.library.exportJson()], { type: "application/json" }), options.fileName);
+        });
+        this.fileInput.addEventListener("change", async () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = "";
+            if (file) {
+                try {
+                    this.library.importJson(await file.text());
+                    this.error.textContent = "";
+                } catch (e) {
+                    this.error.textContent = `Could not import ${this.library.listKey}: ${e.message}`;
+                }
+            }
+        });
+
+        this.renderTable();
+        this.edit(null);
     }
 
-    // Create a vector from polar coordinates
-    static fromPolar(magnitude, angleInDegrees) {
-        const angleInRadians = MathUtils.degreesToRadians(angleInDegrees);
-        return new Vector(
-            magnitude * Math.cos(angleInRadians),
-            magnitude * Math.sin(angleInRadians)
-        );
+    field(name) {
+        return this.container.querySelector(`[data-field=${name}]`);
+    }
+
+    renderTable() {
+        this.tbody.replaceChildren(...this.library.items.map(profile => {
+            const row = document.createElement("tr");
+            this.options.columns.forEach(column => {
+                const cell = document.createElement("td");
+                cell.textContent = column.value(profile);
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement("td");
+            const button = (label, onClick) => {
+                const b = document.createElement("button");
+                b.type = "button";
+                b.className = "btn btn-link btn-sm p-0 me-2";
+                b.textContent = label;
+                b.addEventListener("click", onClick);
+                actions.appendChild(b);
+            };
+            button("Edit", () => this.edit(profile));
+            if (this.library.items.length > 1) {
+                button("Delete", () => this.library.remove(profile.id));
+            }
+            row.appendChild(actions);
+            return row;
+        }));
+    }
+
+    // Fill the form with a profile to edit, or with the values of a new one
+    edit(profile) {
+        this.editingId = profile ? profile.id : null;
+        const values = this.options.toForm(profile);
+        Object.keys(values).forEach(name => this.field(name).value = values[name]);
+        this.saveButton.textContent = `${profile ? "Save" : "Add"} ${this.options.noun}`;
+        this.error.textContent = "";
+    }
+
+    save() {
+        const text = (name) => this.field(name).value;
+        const number = (name) => text(name) === "" ? undefined : parseFloat(text(name));
+        const data = this.options.fromForm(text, number);
+        try {
+            if (this.editingId) {
+                this.library.update(this.editingId, data);
+            } else {
+                this.library.add(data);
+            }
+            this.edit(null);
+        } catch (e) {
+            this.error.textContent = `Invalid ${this.options.noun}: ${e.message}`;
+        }
+    }
+}
+
+/**
+ * Editor of the cutters of a CutterLibrary.
+ */
+class CutterLibraryEditor extends ProfileLibraryEditor {
+    /**
+     * @param {HTMLElement} container - The element to render the editor into.
+     * @param {CutterLibrary} library - The library to edit.
+     */
+    constructor(container, library) {
+        super(container, library, {
+            noun: "cutter",
+            fileName: "bowl_saver_cutters.json",
+            columns: [
+                { header: "Name", value: cutter => cutter.name },
+                { header: "Ø (mm)", value: cutter => 2 * cutter.radius },
+                { header: "Kerf (mm)", value: cutter => cutter.kerf },
+                { header: "Sweep (°)", value: cutter => cutter.arcDegrees },
+                { header: "Blade (mm)", value: cutter => cutter.bladeThickness === null ? "–" : cutter.bladeThickness },
+            ],
+            fields: [[
+                { field: "name", label: "Name", type: "text" },
+                { field: "radius", label: "Radius (mm)" },
+                { field: "kerf", label: "Kerf (mm)" },
+                { field: "arcDegrees", label: "Sweep (°)" },
+                { field: "bladeThickness", label: "Blade (mm)", placeholder: "optional" },
+            ]],
+            toForm: (cutter) => {
+                const values = cutter || { name: "", radius: "", kerf: DEFAULT_CUTTERS[0].kerf, arcDegrees: DEFAULT_CUTTERS[0].arcDegrees, bladeThickness: null };
+                return { ...values, bladeThickness: values.bladeThickness === null ? "" : values.bladeThickness };
+            },
+            fromForm: (text, number) => ({
+                name: text("name"),
+                radius: number("radius"),
+                kerf: number("kerf"),
+                arcDegrees: number("arcDegrees"),
+                bladeThickness: text("bladeThickness") === "" ? null : number("bladeThickness"),
+            }),
+        });
+    }
+}
+
+/**
+ * Editor of the machine profiles of a MachineLibrary.
+ */
+class MachineLibraryEditor extends ProfileLibraryEditor {
+    /**
+     * @param {HTMLElement} container - The element to render the editor into.
+     * @param {MachineLibrary} library - The library to edit.
+     */
+    constructor(container, library) {
+        super(container, library, {
+            noun: "machine",
+            fileName: "bowl_saver_machines.json",
+            columns: [
+                { header: "Name", value: machine => machine.name },
+                { header: "Swing (mm)", value: machine => machine.swingOverBed },
+                { header: "Centre height (mm)", value: machine => machine.centreHeight },
+                { header: "Tailstock arc R (mm)", value: machine => machine.tailstockFixArcRadius },
+                { header: "Tailstock arc length (mm)", value: machine => machine.tailstockFixArcLength },
+            ],
+            fields: [[
+                { field: "name", label: "Name", type: "text" },
+                { field: "swingOverBed", label: "Swing over bed (mm)" },
+                { field: "centreHeight", label: "Centre height (mm)" },
+                { field: "tailstockOffset", label: "Tailstock offset (mm)" },
+            ], [
+                { field: "tailstockFixArcRadius", label: "Tailstock arc R (mm)" },
+                { field: "tailstockFixArcLength", label: "Tailstock arc length (mm)" },
+                { field: "handleX", label: "Handle x (mm)" },
+                { field: "handleY", label: "Handle y (mm)" },
+            ], [
+                { field: "plateOutline", label: "Plate outline (SVG path)", type: "text", width: "col-md-6" },
+                { field: "pivotX", label: "Pivot x (mm)" },
+                { field: "pivotY", label: "Pivot y (mm)" },
+            ]],
+            toForm: (machine) => {
+                const values = machine || { ...DEFAULT_MACHINES[0], name: "" };
+                return {
+                    name: values.name,
+                    plateOutline: values.plateOutline,
+                    tailstockFixArcRadius: values.tailstockFixArcRadius,
+                    tailstockFixArcLength: values.tailstockFixArcLength,
+                    tailstockOffset: values.tailstockOffset,
+                    swingOverBed: values.swingOverBed,
+                    centreHeight: values.centreHeight,
+                    pivotX: values.pivot.x,
+                    pivotY: values.pivot.y,
+                    handleX: values.handlePosition.x,
+                    handleY: values.handlePosition.y,
+                };
+            },
+            fromForm: (text, number) => ({
+                name: text("name"),
+                plateOutline: text("plateOutline"),
+                pivot: { x: number("pivotX"), y: number("pivotY") },
+                handlePosition: { x: number("handleX"), y: number("handleY") },
+                tailstockFixArcRadius: number("tailstockFixArcRadius"),
+                tailstockFixArcLength: number("tailstockFixArcLength"),
+                tailstockOffset: number("tailstockOffset"),
+                swingOverBed: number("swingOverBed"),
+                centreHeight: number("centreHeight"),
+            }),
+        });
+    }
+}
+
+/**
+ * HTML list of the stored cuts in cutting order, with inline editing of the position, rotation and
+ * radius, and buttons to edit on the plate, duplicate, lock and delete. Rows can be dragged to reorder
+ * the cuts, hovering a row highlights its arc.
+ */
+class CutListPanel {
+    /**
+     * @param {HTMLElement} container - The element to render the list into.
+     * @param {Drawing} drawing - The drawing with the cuts.
+     */
+    constructor(container, drawing) {
+        this.container = container;
+        this.drawing = drawing;
+        this.drawing.addChangeListener(() => this.update());
+        this.update();
+    }
+
+    update() {
+        const cuts = this.drawing.storedCutList();
+        if (cuts.length == 0) {
+            this.container.innerHTML = `<p class="text-muted">No stored cuts.</p>`;
+            return;
+        }
+
+        // rebuilding replaces the inputs, keep the focus in the same field
+        const focused = document.activeElement && this.container.contains(document.activeElement)
+            ? document.activeElement : null;
+        const focusKey = focused && focused.dataset.field
+            ? `[data-position="${focused.closest("tr").dataset.position}"] [data-field=${focused.dataset.field}]` : null;
+
+        const edited = this.drawing.currentCut.wasSaved ? this.drawing.editedIndex : null;
+        const table = document.createElement("table");
+        table.className = "table table-sm align-middle cut-list";
+        table.innerHTML = `
+            <thead>
+                <tr><th></th><th>Cut</th><th>x</th><th>y</th><th>Rotation</th><th>Radius</th><th></th></tr>
+            </thead>`;
+        const tbody = document.createElement("tbody");
+        cuts.forEach((cut, position) => tbody.appendChild(this.renderRow(cut, position, position === edited)));
+        table.appendChild(tbody);
+        this.container.replaceChildren(table);
+
+        if (focusKey) {
+            const field = this.container.querySelector(focusKey);
+            if (field) {
+                field.focus();
+            }
+        }
+    }
+
+    renderRow(cut, position, isEdited) {
+        const row = document.createElement("tr");
+        row.dataset.position = position;
+        row.draggable = true;
+        row.classList.toggle("table-primary", isEdited);
+
+        const cell = (content) => {
+            const td = document.createElement("td");
+            if (content instanceof Node) {
+                td.appendChild(content);
+            } else {
+                td.textContent = content;
+            }
+            row.appendChild(td);
+            return td;
+        };
+        const handle = cell("⠿");
+        handle.className = "cut-list-handle";
+        handle.title = "Drag to reorder";
+        cell(isEdited ? `${position + 1} (editing)` : `${position + 1}`);
+
+        const input = (field, value, step) => {
+            const element = document.createElement("input");
+            element.type = "number";
+            element.step = step;
+            element.className = "form-control form-control-sm";
+            element.dataset.field = field;
+            element.value = +value.toFixed(2);
+            element.disabled = cut.locked;
+            element.setAttribute("aria-label", `Cut ${position + 1} ${field}`);
+            element.addEventListener("change", () => this.save(row, position));
+            return element;
+        };
+        cell(input("x", cut.center.x, 1));
+        cell(input("y", cut.center.y, 1));
+        cell(input("rotation", cut.rotation, 0.5));
+        cell(input("radius", cut.radius, 1));
+
+        const actions = cell("");
+        actions.className = "text-nowrap";
+        const button = (label, onClick, enabled = true) => {
+            const b = document.createElement("button");
+            b.type = "button";
+            b.className = "btn btn-link btn-sm p-0 me-2";
+            b.textContent = label;
+            b.disabled = !enabled;
+            b.addEventListener("click", onClick);
+            actions.appendChild(b);
+        };
+        button("Edit", () => this.drawing.selectCut(this.drawing.cutIndexOf(position)), !cut.locked && !isEdited);
+        button("Duplicate", () => this.drawing.duplicateCut(position));
+        button(cut.locked ? "Unlock" : "Lock", () => this.drawing.setCutLocked(position, !cut.locked));
+        button("Delete", () => this.drawing.deleteCut(position), !cut.locked);
+
+        row.addEventListener("mouseenter", () => this.drawing.highlightCut(position));
+        row.addEventListener("mouseleave", () => this.drawing.highlightCut(null));
+        row.addEventListener("dragstart", (e) => {
+            e.dataTransfer.setData("text/plain", String(position));
+            e.dataTransfer.effectAllowed = "move";
+        });
+        row.addEventListener("dragover", (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "move";
+        });
+        row.addEventListener("drop", (e) => {
+            e.preventDefault();
+            const from = parseInt(e.dataTransfer.getData("text/plain"));
+            if (!isNaN(from) && from != position) {
+                this.drawing.moveCut(from, position);
+            }
+        });
+        return row;
     }
 
+    // Apply the numeric fields of a row, invalid values are reset
+    save(row, position) {
+        const value = (field) => parseFloat(row.querySelector(`[data-field=${field}]`).value);
+        const values = { x: value("x"), y: value("y"), rotation: value("rotation"), radius: value("radius") };
+        if (Object.values(values).some(isNaN) || values.radius <= 0) {
+            this.update();
+            return;
+        }
+        this.drawing.updateCut(position, values);
+    }
+}
+
+/**
+ * HTML list of the PlanValidator warnings.
+ */
+class WarningsPanel {
     /**
-     * Add another vector to this vector.
-     * @param {Vector} vector - The vector to add.
-     * @returns {Vector} The resulting vector.
+     * @param {HTMLElement} container - The element to render the list into.
      */
-    add(vector) {
-        return new Vector(this.x + vector.x, this.y + vector.y);
+    constructor(container) {
+        this.container = container;
     }
 
     /**
-     * Subtract another vector from this vector.
-     * @param {Vector} vector - The vector to subtract.
-     * @returns {Vector} The resulting vector.
+     * @param {{message: string}[]} warnings - The warnings from PlanValidator.validate.
      */
-    subtract(vector) {
-        return new Vector(this.x - vector.x, this.y - vector.y);
+    update(warnings) {
+        this.container.replaceChildren();
+        if (warnings.length == 0) {
+            const ok = document.createElement("p");
+            ok.className = "text-success";
+            ok.textContent = "No problems found.";
+            this.container.appendChild(ok);
+            return;
+        }
+        const list = document.createElement("ul");
+        list.className = "list-unstyled text-danger";
+        warnings.forEach(warning => {
+            const item = document.createElement("li");
+            item.textContent = warning.message;
+            list.appendChild(item);
+        });
+        this.container.appendChild(list);
     }
+}
 
+/**
+ * HTML table listing the bowls of a BowlReport.
+ */
+class BowlReportTable {
     /**
-     * Scale this vector by a scalar.
-     * @param {number} scalar - The scalar to multiply by.
-     * @returns {Vector} The scaled vector.
+     * @param {HTMLElement} container - The element to render the table into.
      */
-    scale(scalar) {
-        return new Vector(this.x * scalar, this.y * scalar);
+    constructor(container) {
+        this.container = container;
     }
 
     /**
-     * Calculate the magnitude (length) of the vector.
-     * @returns {number} The magnitude of the vector.
+     * @param {object[]} bowls - The bowls from BowlReport.compute.
+     * @param {number} density - The wood density in kg/m³.
+     * @param {number} kerfVolume - The volume lost to the kerfs in mm³.
      */
-    magnitude() {
-        return Math.sqrt(this.x ** 2 + this.y ** 2);
+    update(bowls, density, kerfVolume) {
+        if (bowls.length == 0) {
+            this.container.innerHTML = `<p class="text-muted">Add cuts to see the bowls they produce.</p>`;
+            return;
+        }
+        const mm = (value) => value === null ? "–" : `${value.toFixed(0)} mm`;
+        const litres = (volume) => `${(volume * 1e-6).toFixed(2)} l`;
+        const kg = (volume) => `${BowlReport.weight(volume, density).toFixed(1)} kg`;
+        const rows = bowls.map(bowl => `
+            <tr>
+                <td>${bowl.index}</td>
+                <td>${mm(bowl.rimDiameter)}</td>
+                <td>${mm(bowl.depth)}</td>
+                <td>${mm(bowl.wallThickness)}</td>
+                <td>${mm(bowl.baseThickness)}</td>
+                <td>${mm(bowl.footDiameter)}</td>
+                <td>${litres(bowl.volume)}</td>
+                <td>${kg(bowl.volume)}</td>
+            </tr>`).join("");
+        const bowlsVolume = bowls.reduce((sum, bowl) => sum + bowl.volume, 0);
+        this.container.innerHTML = `
+            <table class="table table-sm">
+                <thead>
+                    <tr><th>Bowl</th><th>Rim Ø</th><th>Depth</th><th>Wall</th><th>Base</th><th>Foot Ø</th><th>Volume</th><th>Weight</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr><td colspan="6">Kerf waste</td><td>${litres(kerfVolume)}</td><td>${kg(kerfVolume)}</td></tr>
+                    <tr><th colspan="6">Total</th><th>${litres(bowlsVolume + kerfVolume)}</th><th>${kg(bowlsVolume + kerfVolume)}</th></tr>
+                </tfoot>
+            </table>`;
     }
+}
 
+/**
+ * Print-ready setup sheet for the lathe: the blank, cutter and machine, then per stored cut
+ * the plate position, rotation, entry point, tailstock status and a diagram with the cut highlighted.
+ * Rendered into a container that the print stylesheet shows instead of the page.
+ */
+class CutSheet {
     /**
-     * Calculate the angle (argument) of the vector in degrees.
-     * @returns {number} The angle in degrees.
+     * @param {HTMLElement} container - The element to render the sheet into.
      */
-    arg() {
-        return Math.atan2(this.y, this.x) * (180 / Math.PI);
+    constructor(container) {
+        this.container = container;
     }
 
     /**
-     * Convert the vector to a string representation.
-     * @returns {string} The string representation of the vector.
+     * The numbers to set up one cut, as shown by the CutterAssembly dimensions.
+     * @param {Cut} cut - The cut.
+     * @param {number} kerf - The cutter kerf.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {object} machine - The machine profile.
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {object} faceDistance, offCenter, rotation, entryHeight (null if the cut misses the face) and tailstockReachable.
      */
-    toString() {
-        return `Vector(${this.x.toFixed(2)}, ${this.y.toFixed(2)})`;
+    static setup(cut, kerf, workpieceDim, machine, outline = null) {
+        const entry = outline
+            ? CutGeometry.outlineEntryPoint(cut, kerf / 2, outline)
+            : CutGeometry.entryPoint(cut, kerf / 2, workpieceDim.x);
+        return {
+            faceDistance: cut.center.x - workpieceDim.x,
+            offCenter: cut.center.y,
+            rotation: cut.rotation,
+            entryHeight: entry ? workpieceDim.y / 2 - entry.y : null,
+            tailstockReachable: CutGeometry.isTailstockReachable(cut.center, cut.rotation, machine),
+        };
     }
 
     /**
-     * Rotate this vector by the given angle (in degrees) around the origin (0,0).
-     * @param {number} angleInDegrees - The angle to rotate by (in degrees).
-     * @returns {Vector} A new Vector that is the result of the rotation.
+     * Cross-section of the blank with all cuts, the highlighted one with its kerf width.
+     * @returns {string} The SVG markup.
      */
-    rotate(angleInDegrees) {
-        const angleInRadians = (angleInDegrees * Math.PI) / 180;
-        const cosA = Math.cos(angleInRadians);
-        const sinA = Math.sin(angleInRadians);
+    static diagram(cuts, highlighted, kerf, workpieceDim, profile = null) {
+        const rimY = workpieceDim.y / 2;
+        const margin = 10;
+        const { blank, clip } = PlanSvg.blank(workpieceDim, profile);
+        const cutPaths = PlanSvg.cutPaths(cuts, workpieceDim.x, cut => cut === highlighted
+            ? `stroke="red" stroke-width="${kerf}"`
+            : `stroke="gray" stroke-width="1.5"`);
+        const clipId = `cut-sheet-clip-${cuts.indexOf(highlighted)}`;
+        return `
+            <svg viewBox="${-margin} ${-rimY - margin} ${workpieceDim.x + 2 * margin} ${workpieceDim.y + 2 * margin}" height="140" class="cut-sheet-diagram">
+                <defs><clipPath id="${clipId}">${clip}</clipPath></defs>
+                ${blank}
+                <g clip-path="url(#${clipId})">${cutPaths}</g>
+                <line x1="${-margin}" y1="0" x2="${workpieceDim.x + margin}" y2="0" stroke="blue" stroke-dasharray="5,5,1,5" />
+            </svg>`;
+    }
 
-        // Standard 2D rotation around the origin:
-        // x' = x*cos(θ) - y*sin(θ)
-        // y' = x*sin(θ) + y*cos(θ)
-        const newX = this.x * cosA - this.y * sinA;
-        const newY = this.x * sinA + this.y * cosA;
+    /**
+     * @param {object} model
+     * @param {Cut[]} model.cuts - The stored cuts, in cutting order.
+     * @param {object} model.cutter - The cutter, see CutterLibrary.
+     * @param {object} model.machine - The machine profile, see MachineLibrary.
+     * @param {Vector} model.workpieceDim - The blank height (x) and diameter (y).
+     * @param {object|null} [model.mount=null] - The mount of the blank, see CoringPlan.parseMount.
+     * @param {object|null} [model.profile=null] - The outline of an irregular blank, see BlankProfile.
+     */
+    render({ cuts, cutter, machine, workpieceDim, mount = null, profile = null }) {
+        const mm = (value) => value === null ? "–" : `${value.toFixed(1)} mm`;
+        const woodOutline = profile ? BlankProfile.woodOutline(profile) : null;
+        const rows = cuts.map((cut, i) => {
+            const setup = CutSheet.setup(cut, cutter.kerf, workpieceDim, machine, woodOutline);
+            return `
+                <tr>
+                    <td>${i + 1}</td>
+                    <td>${mm(setup.faceDistance)}</td>
+                    <td>${mm(setup.offCenter)}</td>
+                    <td>${setup.rotation.toFixed(1)}°</td>
+                    <td>${mm(setup.entryHeight)}</td>
+                    <td>${setup.tailstockReachable ? "OK" : "Out of range"}</td>
+                    <td>${CutSheet.diagram(cuts, cut, cutter.kerf, workpieceDim, profile)}</td>
+                    <td class="cut-sheet-check"></td>
+                </tr>`;
+        }).join("");
+        this.container.innerHTML = `
+            <h2>Bowlsaver coring sheet</h2>
+            <p>
+                Blank: Ø${workpieceDim.y} mm × ${workpieceDim.x} mm<br>
+                ${mount ? `Mount: ${MOUNT_TYPES[mount.type]}, Ø${mount.diameter} mm, ${mount.depth} mm deep<br>` : ""}
+                Cutter: <span data-role="cutter"></span>, Ø${2 * cutter.radius} mm, kerf ${cutter.kerf} mm, sweep ${cutter.arcDegrees}°<br>
+                Machine: <span data-role="machine"></span><br>
+                Printed: ${new Date().toLocaleDateString()}
+            </p>
+            ${cuts.length == 0 ? "<p>No cuts stored.</p>" : `
+            <table class="table table-sm table-bordered align-middle">
+                <thead>
+                    <tr><th>Cut</th><th>Plate from face</th><th>Off centre</th><th>Rotation</th><th>Entry below rim</th><th>Tailstock</th><th>Diagram</th><th>Done</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`}`;
+        // the names are user input
+        this.container.querySelector("[data-role=cutter]").textContent = cutter.name;
+        this.container.querySelector("[data-role=machine]").textContent = machine.name;
+    }
 
-        return new Vector(newX, newY);
+    /**
+     * Render the sheet and open the print dialog.
+     * @param {object} model - See render.
+     */
+    print(model) {
+        this.render(model);
+        window.print();
     }
 }
 
+
 /**
- * Utility class for exporting SVG.
+ * Rehearses the coring sequence: steps the CutterAssembly through the stored cuts in their order,
+ * sweeps the blade along each arc while shading the removed kerf, and shades the bowls freed by
+ * every finished cut. Cuts that would pass through an already released bowl are flagged.
+ * The time runs from 0 to the number of cuts, the fraction being the progress of the current cut.
  */
-class ExportSvg {
+class CoringPlayback {
     /**
-     * Retrieve all CSS rules from the document.
-     * @returns {string} The concatenated CSS rules.
+     * @param {Drawing} drawing - The drawing to play the stored cuts of.
+     * @param {HTMLElement} container - The element to render the controls into.
+     * @param {number} [secondsPerCut=2] - The playback speed.
      */
-    static getAllCSS() {
-        let cssRules = "";
+    constructor(drawing, container, secondsPerCut = 2) {
+        this.drawing = drawing;
+        this.container = container;
+        this.secondsPerCut = secondsPerCut;
+        this.cuts = null; // snapshot while playing back
+        this.time = 0;
+        this.frame = null;
+
+        // between the bowls and the stored cuts, clipped and mirrored with them
+        this.layer = new Group(drawing.cutGroup.element, "playback");
+        drawing.cutGroup.element.insertBefore(this.layer.element, drawing.storedCuts.element);
+
+        this.container.innerHTML = `
+            <div class="d-flex gap-2 align-items-center justify-content-center">
+                <button type="button" class="btn btn-outline-primary btn-sm" data-action="play">Play</button>
+                <button type="button" class="btn btn-outline-secondary btn-sm" data-action="step">Step</button>
+                <button type="button" class="btn btn-outline-secondary btn-sm" data-action="stop">Stop</button>
+                <input type="range" class="form-range w-50" min="0" max="0" step="0.01" value="0" aria-label="Playback position" />
+            </div>
+            <p class="mt-2" data-role="status"></p>`;
+        this.playButton = this.container.querySelector("[data-action=play]");
+        this.scrubber = this.container.querySelector("input[type=range]");
+        this.status = this.container.querySelector("[data-role=status]");
+
+        this.playButton.addEventListener("click", () => this.frame === null ? this.play() : this.pause());
+        this.container.querySelector("[data-action=step]").addEventListener("click", () => this.step());
+        this.container.querySelector("[data-action=stop]").addEventListener("click", () => this.stop());
+        this.scrubber.addEventListener("input", () => {
+            this.pause();
+            this.seek(parseFloat(this.scrubber.value));
+        });
+    }
 
-        // Iterate through all stylesheets
-        for (let i = 0; i < document.styleSheets.length; i++) {
-            const sheet = document.styleSheets[i];
-            if (sheet.href === null) { // Process only local stylesheets
-                try {
-                    // Check if the stylesheet is accessible
-                    if (sheet.cssRules) {
-                        for (let j = 0; j < sheet.cssRules.length; j++) {
-                            cssRules += sheet.cssRules[j].cssText + "\n";
-                        }
-                    }
-                } catch (e) {
-                    console.warn("Unable to access stylesheet:", sheet.href, e);
+    /**
+     * Later cuts that would pass through a bowl already freed by an earlier cut.
+     * @param {Cut[]} cuts - The cuts, in cutting order.
+     * @param {number} kerf - The cutter kerf.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {{cut: number, releasedBy: number}[]} The 0-based indices of the conflicting cuts.
+     */
+    static conflicts(cuts, kerf, workpieceDim, outline = null) {
+        const inBlank = outline
+            ? (p) => MathUtils.isPointInPolygon(p, outline)
+            : (p) => p.x > 0 && p.x < workpieceDim.x && p.y > 0 && p.y < workpieceDim.y / 2;
+        const released = cuts.map(cut => CutGeometry.enclosedRegion(cut, -kerf / 2, workpieceDim));
+        const conflicts = [];
+        cuts.forEach((cut, j) => {
+            const points = CutGeometry.arcPoints(cut).filter(inBlank);
+            for (let i = 0; i < j; i++) {
+                if (points.some(p => MathUtils.isPointInPolygon(p, released[i]))) {
+                    conflicts.push({ cut: j, releasedBy: i });
+                    break;
                 }
             }
+        });
+        return conflicts;
+    }
+
+    /**
+     * The kerf removed by a cut after part of its sweep, from the plate side towards the tip.
+     * @param {Cut} cut - The cut.
+     * @param {number} kerf - The cutter kerf.
+     * @param {number} progress - 0 to 1.
+     * @returns {string} SVG path data.
+     */
+    static kerfPath(cut, kerf, progress) {
+        const partial = new Cut(cut.center, cut.rotation, cut.radius, cut.arcDegrees * progress);
+        const outer = CutGeometry.arcPoints(partial, kerf / 2);
+        const inner = CutGeometry.arcPoints(partial, -kerf / 2).reverse();
+        return CoringPlayback.polygonPath([...outer, ...inner]);
+    }
+
+    /**
+     * The material freed by a cut, inside its inner kerf edge and the blank.
+     * @param {Cut} cut - The cut.
+     * @param {number} kerf - The cutter kerf.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {string} SVG path data.
+     */
+    static freedPath(cut, kerf, workpieceDim, outline = null) {
+        return outline
+            ? MaterialRegion.toPath(MaterialRegion.intersect([MaterialRegion.polygon(outline)], MaterialRegion.enclosed(cut, -kerf / 2)))
+            : CoringPlayback.polygonPath(CutGeometry.enclosedRegion(cut, -kerf / 2, workpieceDim));
+    }
+
+    static polygonPath(points) {
+        return points.length == 0 ? "" : `M ${points.map(p => `${p.x} ${p.y}`).join(" L ")} Z`;
+    }
+
+    get isActive() {
+        return this.cuts !== null;
+    }
+
+    // Snapshot the cuts and the assembly pose the first time playback starts
+    begin() {
+        if (this.isActive) {
+            return;
+        }
+        this.cuts = this.drawing.storedCutList().map(cut => cut.clone());
+        this.kerf = this.drawing.cutter.kerf;
+        this.workpieceDim = this.drawing.cutterAssembly.workpieceDim;
+        this.pose = this.drawing.cutterAssembly.getPose();
+        const outline = this.drawing.workpiece.woodOutline;
+        this.conflicts = CoringPlayback.conflicts(this.cuts, this.kerf, this.workpieceDim, outline);
+        this.freed = this.cuts.map(cut => CoringPlayback.freedPath(cut, this.kerf, this.workpieceDim, outline));
+        this.scrubber.max = this.cuts.length;
+        this.time = 0;
+    }
+
+    play() {
+        this.begin();
+        if (this.cuts.length == 0) {
+            this.cuts = null;
+            this.status.textContent = "Add cuts to play back the coring sequence.";
+            return;
+        }
+        if (this.time >= this.cuts.length) {
+            this.time = 0;
+        }
+        this.playButton.textContent = "Pause";
+        let last = performance.now();
+        const tick = (now) => {
+            const time = this.time + (now - last) / 1000 / this.secondsPerCut;
+            last = now;
+            this.seek(time);
+            if (this.time >= this.cuts.length) {
+                this.pause();
+            } else {
+                this.frame = requestAnimationFrame(tick);
+            }
+        };
+        this.frame = requestAnimationFrame(tick);
+    }
+
+    pause() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
         }
+        this.playButton.textContent = "Play";
+    }
 
-        return cssRules;
+    // Finish the current cut, or the next one if at a cut boundary
+    step() {
+        this.pause();
+        this.begin();
+        this.seek(Math.floor(this.time) + 1);
+    }
+
+    // End playback and put the assembly back where it was
+    stop() {
+        this.pause();
+        if (!this.isActive) {
+            return;
+        }
+        this.layer.element.replaceChildren();
+        this.drawing.cutterAssembly.showPose(this.pose);
+        this.cuts = null;
+        this.scrubber.value = 0;
+        this.status.textContent = "";
     }
 
     /**
-     * Export the SVG content as a downloadable file.
-     * @param {SVGElement} svg - The SVG element to export.
+     * Show the sequence at a time.
+     * @param {number} time - From 0 to the number of cuts.
      */
-    static export(svg) {
-        // Clone the SVG to avoid modifying the original
-        const clonedSvg = svg.cloneNode(true);
+    seek(time) {
+        this.begin();
+        const count = this.cuts.length;
+        this.time = Math.min(Math.max(time, 0), count);
+        this.scrubber.value = this.time;
+        this.layer.element.replaceChildren();
+        if (count == 0) {
+            return;
+        }
 
-        // Add embedded CSS
-        const defs = document.createElementNS(svgNs, "defs");
-        const style = document.createElementNS(svgNs, "style");
-        style.textContent = ExportSvg.getAllCSS();
-        defs.appendChild(style);
-        clonedSvg.insertBefore(defs, clonedSvg.firstChild);
+        const index = Math.min(Math.floor(this.time), count - 1);
+        const progress = this.time - index;
+        const conflict = (i) => this.conflicts.find(c => c.cut == i);
+        for (let i = 0; i <= index; i++) {
+            const done = i < index || progress >= 1;
+            if (done) {
+                new SVGElement("path", "playback-freed", { d: this.freed[i] }).appendTo(this.layer.element);
+            }
+            new SVGElement("path", conflict(i) ? "playback-kerf playback-conflict" : "playback-kerf", {
+                d: CoringPlayback.kerfPath(this.cuts[i], this.kerf, done ? 1 : progress),
+            }).appendTo(this.layer.element);
+        }
 
-        // Serialize the SVG
-        const serializer = new XMLSerializer();
-        const svgData = serializer.serializeToString(clonedSvg);
+        const cut = this.cuts[index];
+        const blade = CutGeometry.pointAt(cut, 90 + cut.arcDegrees * Math.min(progress, 1));
+        new Circle(this.layer.element, "playback-blade", this.kerf / 2).setTransform(blade, 0);
+        const pose = this.drawing.cutterAssembly.getPose();
+        if (pose.center !== cut.center || pose.rotation !== cut.rotation) {
+            this.drawing.cutterAssembly.showPose({ center: cut.center, rotation: cut.rotation });
+        }
+
+        const current = conflict(index);
+        const finished = Math.floor(this.time);
+        this.status.textContent = current
+            ? `Cut ${index + 1} passes through the bowl already released by cut ${current.releasedBy + 1}.`
+            : `Cut ${index + 1} of ${count}, ${finished} bowl${finished == 1 ? "" : "s"} freed.`;
+        this.status.classList.toggle("text-danger", !!current);
+    }
+}
+
+/**
+ * Measure on the drawing: two clicks place a linear dimension between the points or an angular one
+ * of the line through them against the centerline. The measurements stay, are exported with the SVG
+ * and a click on one deletes it.
+ */
+class MeasureTool {
+    /**
+     * @param {Drawing} drawing - The drawing to measure on.
+     */
+    constructor(drawing) {
+        this.drawing = drawing;
+        this.mode = null; // "linear" or "angular" while measuring
+        this.measurements = []; // {mode, from, to} in drawing coordinates
+        this.start = null; // the first click of the measurement being placed
+        this.onChange = () => { };
+        this.layer = new Group(drawing.element, "measurements");
+        this.preview = new Group(drawing.element, "measure-preview");
+
+        // caught on the way down to the drawing, so that the clicks neither pan, drag the plate nor select cuts
+        const container = drawing.element.parentNode;
+        container.addEventListener("pointerdown", (e) => {
+            if (!this.mode || !drawing.element.contains(e.target) || !e.isPrimary || e.button != 0) {
+                return;
+            }
+            e.stopPropagation();
+            e.preventDefault();
+            const point = evtToMouseCoords(e, drawing.element);
+            if (this.start) {
+                this.add(this.mode, this.start, point);
+                this.start = null;
+                this.preview.element.replaceChildren();
+            } else {
+                this.start = point;
+                this.renderPreview(point);
+            }
+        }, true);
+        container.addEventListener("click", (e) => {
+            if (this.mode) {
+                e.stopPropagation();
+            }
+        }, true);
+        drawing.element.addEventListener("pointermove", (e) => {
+            if (this.mode && this.start) {
+                this.renderPreview(evtToMouseCoords(e, drawing.element));
+            }
+        });
+        document.addEventListener("keydown", (e) => {
+            if (e.key === "Escape" && this.mode) {
+                this.setMode(null);
+            }
+        });
+    }
 
-        // Create a blob and trigger download
-        const blob = new Blob([svgData], { type: "image/svg+xml;charset=utf-8" });
-        const url = URL.createObjectURL(blob);
+    /**
+     * Start or stop measuring, choosing the same mode again stops.
+     * @param {string|null} mode - "linear", "angular" or null.
+     */
+    setMode(mode) {
+        this.mode = mode === this.mode ? null : mode;
+        this.start = null;
+        this.preview.element.replaceChildren();
+        this.drawing.element.classList.toggle("measuring", this.mode !== null);
+        this.onChange();
+    }
 
-        const link = document.createElement("a");
-        link.href = url;
-        link.download = "bowl_saver.svg";
-        link.click();
+    /**
+     * @param {string} mode - "linear" or "angular".
+     * @param {Vector} from - The first point, the vertex of an angle.
+     * @param {Vector} to - The second point.
+     */
+    add(mode, from, to) {
+        this.measurements.push({ mode, from, to });
+        this.render();
+    }
 
-        URL.revokeObjectURL(url);
+    /**
+     * @param {number} index - The index in this.measurements.
+     */
+    remove(index) {
+        this.measurements.splice(index, 1);
+        this.render();
     }
-}
 
-class Cut {
-    constructor(center, rotation, radius) {
-        this.center = center;        // Vector
-        this.rotation = rotation;    // number
-        this.radius = radius;        // number
-        this.svg_arc = null;
-        this.wasSaved = false;
+    clear() {
+        this.measurements = [];
+        this.render();
     }
 
-    clone() {
-        return new Cut(this.center, this.rotation, this.radius);
+    render() {
+        this.layer.element.replaceChildren();
+        this.measurements.forEach((measurement, i) => {
+            const group = new Group(this.layer.element, "measurement");
+            MeasureTool.draw(group.element, measurement);
+            group.appendTitle("click to delete");
+            group.element.addEventListener("click", () => {
+                if (!this.mode) {
+                    this.remove(i);
+                }
+            });
+        });
+        this.onChange();
     }
-}
 
+    /**
+     * @param {Vector} point - The point under the pointer.
+     */
+    renderPreview(point) {
+        this.preview.element.replaceChildren();
+        MeasureTool.draw(this.preview.element, { mode: this.mode, from: this.start, to: point });
+    }
 
-function throttle(callback, limit) {
-    let lastCall = 0;
-    return (...args) => {
-        const now = Date.now();
-        if (now - lastCall >= limit) {
-            lastCall = now;
-            callback(...args);
+    /**
+     * @param {Element} parent - The element to draw into.
+     * @param {object} measurement - See this.measurements.
+     */
+    static draw(parent, { mode, from, to }) {
+        const dir = to.subtract(from);
+        if (mode == "linear") {
+            new Dimension(parent).update(from, dir, `${dir.magnitude().toFixed(1)} mm`);
+        } else {
+            // from the direction along the centerline the line points to
+            const start = dir.x < 0 ? 180 : 0;
+            let sweep = dir.arg() - start;
+            sweep -= 360 * Math.round(sweep / 360);
+            new AngularDimension(parent).update(from, dir.magnitude(), start, sweep);
         }
-    };
+    }
 }
 
-let animationFrame;
-function throttleToFrame(callback) {
-    if (!animationFrame) {
-        animationFrame = requestAnimationFrame(() => {
-            callback();
-            animationFrame = null;
+/**
+ * Edit the outline of an irregular blank on the drawing: drag its points, double-click a point to
+ * remove it and double-click the blank to insert a point on the outline there. The first and the
+ * last point stay on the centerline, all points within the blank height and diameter.
+ */
+class OutlineEditor {
+    /**
+     * @param {Drawing} drawing - The drawing whose blank to edit.
+     */
+    constructor(drawing) {
+        this.drawing = drawing;
+        this.active = false;
+        this.onChange = () => { };
+        this.layer = new Group(drawing.element, "outline-handles");
+
+        [drawing.workpiece.outlinePath, drawing.workpiece.bark].forEach(path => {
+            path.element.addEventListener("dblclick", (e) => {
+                if (this.active) {
+                    this.insert(evtToMouseCoords(e, drawing.element));
+                }
+            });
         });
     }
-}
 
-function evtToMouseCoords(e, svg) {
-    let point2D;
-    if (e.touches && e.touches.length > 0) {
-        const touch = e.touches[0]; // Get the first touch point
-        point2D = new DOMPointReadOnly(touch.clientX, touch.clientY);
-    } else if (e.clientX !== undefined && e.clientY !== undefined) {
-        point2D = new DOMPointReadOnly(e.clientX, e.clientY);
+    /**
+     * Show or hide the points. A cylinder becomes an outline to start from.
+     * @param {boolean} active - True to edit.
+     */
+    setActive(active) {
+        this.active = active;
+        this.drawing.element.classList.toggle("editing-outline", active);
+        if (active && !this.drawing.workpiece.profile) {
+            this.drawing.setProfile(BlankProfile.cylinder(this.drawing.cutterAssembly.workpieceDim));
+        }
+        this.render();
+        this.onChange();
     }
-    const pt = point2D.matrixTransform(svg.getScreenCTM().inverse());
-    return new Vector(pt.x, pt.y);
-}
-
-class Draggable {
-    constructor(element, svgRoot, options) {
-        this.element = element;
-        this.svgRoot = svgRoot;
-        this.isDragging = false;
-
-        this.onDragStart = options.onDragStart || (() => { });
-        this.onDrag = options.onDrag || (() => { });
-        this.onDragEnd = options.onDragEnd || (() => { });
 
-        this.addEventListeners();
+    /**
+     * @param {object} profile - The profile.
+     * @param {number} index - The point to move.
+     * @param {Vector} position - Where to, kept within the blank.
+     * @returns {object} A new profile.
+     */
+    moved(profile, index, position) {
+        const dim = this.drawing.cutterAssembly.workpieceDim;
+        const onAxis = index == 0 || index == profile.points.length - 1;
+        const point = {
+            x: Math.min(Math.max(position.x, 0), dim.x),
+            y: onAxis ? 0 : Math.min(Math.max(position.y, 0), dim.y / 2),
+        };
+        return { ...profile, points: profile.points.map((p, i) => i == index ? point : p) };
     }
 
-    addEventListeners() {
-        const events = [
-            { event: "mousedown", handler: this.startDrag.bind(this) },
-            { event: "touchstart", handler: this.startDrag.bind(this) },
-            { event: "mousemove", handler: this.performDrag.bind(this) },
-            { event: "touchmove", handler: this.performDrag.bind(this) },
-            { event: "mouseup", handler: this.endDrag.bind(this) },
-            { event: "touchend", handler: this.endDrag.bind(this) },
-        ];
-        events.forEach(({ event, handler }) => {
-            this.element.addEventListener(event, handler);
-        });
+    /**
+     * Insert a point into the nearest side of the outline, not the closing one along the centerline.
+     * @param {Vector} position - The point.
+     */
+    insert(position) {
+        const profile = this.drawing.workpiece.profile;
+        const points = profile.points.map(p => new Vector(p.x, p.y));
+        const distance = (a, b) => {
+            const side = b.subtract(a);
+            const offset = position.subtract(a);
+            const length = side.x * side.x + side.y * side.y;
+            const t = length > 0 ? Math.min(Math.max((offset.x * side.x + offset.y * side.y) / length, 0), 1) : 0;
+            return offset.subtract(side.scale(t)).magnitude();
+        };
+        let nearest = 0;
+        for (let i = 1; i < points.length - 1; i++) {
+            if (distance(points[i], points[i + 1]) < distance(points[nearest], points[nearest + 1])) {
+                nearest = i;
+            }
+        }
+        const inserted = { ...profile, points: [...profile.points.slice(0, nearest + 1), { x: 0, y: 0 }, ...profile.points.slice(nearest + 1)] };
+        this.edit(this.moved(inserted, nearest + 1, position));
     }
 
-    startDrag(e) {
-        this.isDragging = true;
-        this.onDragStart(this.getCoords(e));
+    /**
+     * @param {number} index - The point to remove, not one on the centerline; an outline keeps 3 points.
+     */
+    remove(index) {
+        const profile = this.drawing.workpiece.profile;
+        if (index == 0 || index == profile.points.length - 1 || profile.points.length <= 3) {
+            return;
+        }
+        this.edit({ ...profile, points: profile.points.filter((p, i) => i != index) });
     }
 
-    performDrag(e) {
-        if (this.isDragging) {
-            e.preventDefault();
-            this.onDrag(this.getCoords(e));
-        }
+    // An undoable change of the outline
+    edit(profile) {
+        this.drawing.history.execute(new ProfileCommand(this.drawing, this.drawing.workpiece.profile, profile));
     }
 
-    endDrag(e) {
-        if (this.isDragging) {
-            this.isDragging = false;
-            this.onDragEnd(this.getCoords(e));
+    // One handle per point, kept while their number stays, e.g. during a drag
+    render() {
+        const profile = this.drawing.workpiece.profile;
+        const points = this.active && profile ? profile.points : [];
+        if (this.layer.element.children.length != points.length) {
+            this.layer.element.replaceChildren();
+            points.forEach((p, i) => this.makeHandle(i));
         }
+        points.forEach((p, i) => this.layer.element.children[i].setAttribute("transform", `translate(${p.x},${p.y})`));
     }
 
-    getCoords(e) {
-        return evtToMouseCoords(e, this.svgRoot);
+    makeHandle(index) {
+        const handle = new Circle(this.layer.element, "outline-handle", 4);
+        handle.appendTitle("drag to move, double-click to remove");
+        let from;
+        new Draggable(handle.element, this.drawing.element, {
+            onDragStart: () => {
+                from = this.drawing.workpiece.profile;
+            }, onDrag: (pos) => {
+                this.drawing.setProfile(this.moved(from, index, pos));
+            }, onDragEnd: () => {
+                this.drawing.history.push(new ProfileCommand(this.drawing, from, this.drawing.workpiece.profile));
+            }, onDragCancel: () => {
+                this.drawing.setProfile(from);
+            }
+        });
+        handle.element.addEventListener("dblclick", () => this.remove(index));
     }
 }
 
-function showValidationError(input, message) {
-    const errorSpan = document.createElement("span");
-    errorSpan.textContent = message;
-    errorSpan.style.color = "red";
-    input.parentNode.appendChild(errorSpan);
-}
-
-
-const svgNs = "http://www.w3.org/2000/svg";
-
-const cutterKerf = 10;
-const tailstockFixArcRadius = 175;
-const tailstockFixArcDegrees = MathUtils.angleFromArcLength(tailstockFixArcRadius, 115);
-const cutterArcDegrees = 90;
-const DEFAULT_CUTTER_POSITION = new Vector(150, 20);
-const GRID_STEP = 50;
-
 class SVGElement {
     constructor(type, klass, attributes = {}) {
         this.element = document.createElementNS(svgNs, type);
@@ -529,8 +1959,9 @@ class Dimension extends Group {
     /**
      * @param {Vector} start
      * @param {Vector} dir
+     * @param {string|null} [label=null] - The text instead of the length.
      */
-    update(start, dir) {
+    update(start, dir, label = null) {
         const length = dir.magnitude();
         const angle = dir.arg();
         this.line.setAttributes({
@@ -553,12 +1984,92 @@ class Dimension extends Group {
             width: text_bb.width,
             height: text_bb.height,
         });
-        this.text.element.textContent = `${length.toFixed(0)} mm`;
+        this.text.element.textContent = label === null ? `${length.toFixed(0)} mm` : label;
 
         this.setTransform(start, angle);
     }
 }
 
+/**
+ * The angle between two directions from a vertex: the legs and an arc between them with arrows.
+ */
+class AngularDimension extends Group {
+    constructor(parent) {
+        super(parent, "dimension angular-dimension");
+
+        this.legs = new SVGElement("path", "dim-extension");
+        this.arc = new SVGElement("path", "dim-line");
+        this.text = new SVGElement("text", "dim-text");
+        this.textBg = new SVGElement("rect", "dim-bg");
+
+        this.legs.appendTo(this.element);
+        this.arc.appendTo(this.element);
+        this.textBg.appendTo(this.element);
+        this.text.appendTo(this.element);
+    }
+
+    setVisible(isVisible) {
+        this.setAttributes({ visibility: isVisible ? "visible" : "hidden" });
+    }
+
+    /**
+     * @param {Vector} vertex
+     * @param {number} radius - The radius of the arc and the length of the legs.
+     * @param {number} fromAngle - The first leg, in degrees.
+     * @param {number} sweep - The angle to the second leg, in degrees.
+     * @param {string|null} [label=null] - The text instead of the angle.
+     */
+    update(vertex, radius, fromAngle, sweep, label = null) {
+        const from = vertex.add(Vector.fromPolar(radius, fromAngle));
+        const to = vertex.add(Vector.fromPolar(radius, fromAngle + sweep));
+        const largeArcFlag = Math.abs(sweep) > 180 ? 1 : 0;
+        const sweepFlag = sweep > 0 ? 1 : 0;
+        this.legs.setAttributes({ d: `M ${from.x} ${from.y} L ${vertex.x} ${vertex.y} L ${to.x} ${to.y}` });
+        this.arc.setAttributes({ d: `M ${from.x} ${from.y} A ${radius} ${radius} 0 ${largeArcFlag} ${sweepFlag} ${to.x} ${to.y}` });
+
+        this.text.element.textContent = label === null ? `${Math.abs(sweep).toFixed(1)}°` : label;
+        // outside the arc, halfway between the legs
+        const textPosition = vertex.add(Vector.fromPolar(radius + 12, fromAngle + sweep / 2));
+        this.text.setAttributes({ x: textPosition.x, y: textPosition.y });
+        const text_bb = this.text.element.getBBox();
+        this.textBg.setAttributes({
+            x: text_bb.x,
+            y: text_bb.y,
+            width: text_bb.width,
+            height: text_bb.height,
+        });
+    }
+}
+
+/**
+ * The radius of an arc from its center, or its diameter through the center.
+ */
+class RadialDimension extends Dimension {
+    /**
+     * @param {SVGElement} parent
+     * @param {boolean} [isDiameter=false] - Dimension the diameter with arrows at both ends.
+     */
+    constructor(parent, isDiameter = false) {
+        super(parent);
+        this.isDiameter = isDiameter;
+        this.element.classList.add(isDiameter ? "diameter-dimension" : "radial-dimension");
+    }
+
+    /**
+     * @param {Vector} center
+     * @param {number} radius
+     * @param {number} angle - The direction of the dimension line from the center, in degrees.
+     */
+    update(center, radius, angle) {
+        const dir = Vector.fromPolar(radius, angle);
+        if (this.isDiameter) {
+            super.update(center.subtract(dir), dir.scale(2), `Ø${(2 * radius).toFixed(0)} mm`);
+        } else {
+            super.update(center, dir, `R${radius.toFixed(0)} mm`);
+        }
+    }
+}
+
 class Circle extends SVGElement {
     constructor(parent, klass, radius) {
         super("circle", klass);
@@ -698,10 +2209,24 @@ class Arc extends SVGElement {
     }
 }
 
+/**
+ * The blade arc of a cut with its breakline. While the arc stays on one side of the centerline it is
+ * drawn in the clipped half that the drawing mirrors; an arc crossing the centerline moves to the
+ * section parent and is drawn in both halves, folded over the axis like the revolved cut.
+ */
 class CutArc extends SVGElement {
-    constructor(parent, klass, cut, workpieceRect) {
+    /**
+     * @param {Element} parent - The group clipped to the blank half and mirrored.
+     * @param {string} klass - The class of the arc path.
+     * @param {Cut} cut - The cut.
+     * @param {Workpiece} workpieceRect - The blank.
+     * @param {Element|null} [sectionParent=null] - The group clipped to the whole blank.
+     */
+    constructor(parent, klass, cut, workpieceRect, sectionParent = null) {
         super("g", "");
         this.appendTo(parent);
+        this.parent = parent;
+        this.sectionParent = sectionParent;
 
         this.arc = new SVGElement("path", klass);
         this.arc.appendTo(this.element);
@@ -715,27 +2240,37 @@ class CutArc extends SVGElement {
     }
 
     updatePath() {
-        const startAngle = 90; // or depends on how your arcs are oriented
-        const endAngle = 90 + 90; // e.g. 90 degrees wide
-        const largeArcFlag = (endAngle - startAngle) > 180 ? 1 : 0;
+        const largeArcFlag = this.cut.arcDegrees > 180 ? 1 : 0;
 
-        const start = Vector.fromPolar(this.cut.radius, endAngle);
-        const end = Vector.fromPolar(this.cut.radius, startAngle);
+        // same geometry as used for the bowl report
+        const tip = CutGeometry.tip(this.cut);
+        const end = CutGeometry.start(this.cut);
+        const radius = this.cut.radius;
 
-        const start_rot = start.rotate(this.cut.rotation);
-        const end_rot = end.rotate(this.cut.rotation);
+        const revolved = this.sectionParent !== null && CutGeometry.crossesCenterline(this.cut, this.workpieceRect.width);
+        const parent = revolved ? this.sectionParent : this.parent;
+        if (this.element.parentNode !== parent) {
+            parent.appendChild(this.element);
+        }
+
+        if (!revolved) {
+            this.breakLine.setAttributes({
+                "d": `M ${tip.x} ${tip.y - 1000} L ${tip.x} ${tip.y}`
+            });
+            this.arc.setAttributes({
+                "d": `M ${tip.x} ${tip.y} A ${radius} ${radius} 0 ${largeArcFlag} 0 ${end.x} ${end.y}`
+            });
+            return;
+        }
 
+        // the arc and its mirror image; a tip past the centerline leaves no core to break off
         this.breakLine.setAttributes({
-            "d": `M ${start.x} -1000 L ${start_rot.x} ${start_rot.y}`
+            "d": tip.y > 0 ? `M ${tip.x} ${tip.y} L ${tip.x} ${-tip.y}` : ""
         });
-
         this.arc.setAttributes({
-            "d": `M ${start_rot.x} ${start_rot.y} A ${this.cut.radius} ${this.cut.radius} 0 ${largeArcFlag} 0 ${end_rot.x} ${end_rot.y}`
+            "d": `M ${tip.x} ${tip.y} A ${radius} ${radius} 0 ${largeArcFlag} 0 ${end.x} ${end.y} `
+                + `M ${tip.x} ${-tip.y} A ${radius} ${radius} 0 ${largeArcFlag} 1 ${end.x} ${-end.y}`
         });
-
-        this.setAttributes({
-            transform: `translate(${this.cut.center.x}, ${this.cut.center.y}) `
-        })
     }
 }
 
@@ -754,9 +2289,51 @@ class Workpiece extends SVGElement {
         this.widthDim = new Dimension(svg, -20);
         this.heightDim = new Dimension(svg, -20);
 
+        // the tenon or faceplate at the base, appended by the drawing above the cuts
+        this.mount = null;
+        this.mountZone = new SVGElement("rect", "mount-zone");
+        this.mountZone.appendTitle("Mount, no-cut zone");
+
+        // an irregular blank is drawn as its outline instead of the rectangle, the bark as a band inside it
+        this.profile = null;
+        this.outline = null;
+        this.woodOutline = null;
+        this.outlinePath = new SVGElement("path", "workpiece workpiece-outline", { visibility: "hidden" });
+        this.outlinePath.appendTo(svg);
+        this.outlinePath.appendTitle("Workpiece");
+        this.bark = new SVGElement("path", "bark", { visibility: "hidden" });
+        this.bark.appendTo(svg);
+        this.bark.appendTitle("Bark");
+
         this.resize(width, height)
     }
 
+    /**
+     * @param {object|null} profile - The outline of an irregular blank, see BlankProfile, null for a cylinder.
+     */
+    setProfile(profile) {
+        this.profile = profile;
+        this.outline = profile ? BlankProfile.outline(profile) : null;
+        this.woodOutline = profile ? BlankProfile.woodOutline(profile) : null;
+        this.setAttributes({ visibility: profile ? "hidden" : "visible" });
+        this.outlinePath.setAttributes(profile
+            ? { d: BlankProfile.sectionPath(this.outline), visibility: "visible" }
+            : { visibility: "hidden" });
+        this.bark.setAttributes(profile && profile.bark > 0
+            ? { d: `${BlankProfile.sectionPath(this.outline)} ${BlankProfile.sectionPath(this.woodOutline)}`, visibility: "visible" }
+            : { visibility: "hidden" });
+    }
+
+    /**
+     * @param {object|null} mount - The tenon or faceplate, see CoringPlan.parseMount.
+     */
+    setMount(mount) {
+        this.mount = mount;
+        this.mountZone.setAttributes(mount
+            ? { x: 0, y: -mount.diameter / 2, width: mount.depth, height: mount.diameter, visibility: "visible" }
+            : { visibility: "hidden" });
+    }
+
     resize(width, height) {
         this.width = width;
         this.height = height;
@@ -773,12 +2350,19 @@ class Workpiece extends SVGElement {
 
 
 class BowlSaverPlate extends SVGElement {
-    constructor(parent) {
-        super("path", "plate", {
-            d: "M -10 -10 L -11 140 L 0 140 C 95 139 153 128 156 -10",
-        });
+    constructor(parent, machine) {
+        super("path", "plate");
         this.appendTo(parent);
         this.appendTitle("Bowl saver plate");
+        this.setMachine(machine);
+    }
+
+    // Draw the plate outline with the pivot at the origin
+    setMachine(machine) {
+        this.setAttributes({
+            d: machine.plateOutline,
+            transform: `translate(${-machine.pivot.x},${-machine.pivot.y})`,
+        });
     }
 }
 
@@ -794,47 +2378,137 @@ class Tailstock extends SVGElement {
 
 class CutterAssembly {
 
-    constructor(parent, cutterRadius, currentCut) {
+    constructor(parent, cutter, currentCut, machine) {
         this.center = new Vector(0, 0);
         this.rotationAngle = 0; // Initial rotation angle
-        this.cutterRadius = cutterRadius;
+        this.cutterRadius = cutter.radius;
+        this.cutterKerf = cutter.kerf;
         this.currentCut = currentCut;
+        this.machine = machine;
         this.workpieceDim = new Vector();
+        this.onChange = () => { };
+        this.onMoveEnd = () => { };
+        this.nudgeStep = 1; // mm resp. degrees per arrow key press, a tenth with Shift
+        this.tailstockReachable = false;
+        // snapping of the plate while dragging, see snapCenter
+        this.snapping = { grid: false, edges: false, wall: false, wallThickness: 10, tolerance: SNAP_TOLERANCE };
+        this.wallSnap = { center: null, target: null }; // the latest search, see snapCenter
+        this.searchWallSnap = throttleToFrame(() => this.wallSnap.target = this.wallSnapTarget(this.wallSnap.center));
+        this.previousCut = () => null;
+        // the stored cuts to measure the wall to, and the wall below which the band turns red
+        this.neighbourCuts = () => [];
+        this.minWall = 10;
+        this.mount = null; // the kerf keeps out of its zone, see stopAtMount
+        // the outline of an irregular blank and of its wood under the bark, null for a cylinder
+        this.outline = null;
+        this.woodOutline = null;
 
         this.group = new Group(parent, "assembly");
 
-        this.plate = new BowlSaverPlate(this.group.element);
+        this.plate = new BowlSaverPlate(this.group.element, machine);
         let plateDragOffset;
+        let dragStartPose;
+        let gestureStart;
         this.plateDraggable = new Draggable(this.plate.element, parent, {
             onDragStart: (pos) => {
                 plateDragOffset = pos.subtract(this.center);
+                dragStartPose = this.getPose();
+                this.wallSnap.target = null;
             }, onDrag: (pos) => {
-                const center = pos.subtract(plateDragOffset);
-                this.moveTo(center);
+                const center = this.snapCenter(pos.subtract(plateDragOffset));
+                this.moveTo(this.stopAtMount({ center, rotation: this.rotationAngle }).center);
+            }, onDragEnd: () => {
+                this.showSnapGuides([]);
+                this.endMove(dragStartPose);
+            }, onDragCancel: () => {
+                this.showSnapGuides([]);
+                this.setPose(dragStartPose);
+            }, onGestureStart: ([first, second]) => {
+                gestureStart = {
+                    pose: this.getPose(),
+                    middle: first.add(second).scale(0.5),
+                    angle: second.subtract(first).arg(),
+                };
+            }, onGesture: ([first, second]) => {
+                // move with the middle between the fingers and turn with the line through them
+                let turn = second.subtract(first).arg() - gestureStart.angle;
+                turn -= 360 * Math.round(turn / 360);
+                const middle = first.add(second).scale(0.5);
+                this.setPose(this.stopAtMount({
+                    center: middle.add(gestureStart.pose.center.subtract(gestureStart.middle).rotate(turn)),
+                    rotation: gestureStart.pose.rotation + turn,
+                }));
             }
         })
         this.tailstock = new Tailstock(parent);
+        this.snapGuide = new Group(parent, "snap-guide");
 
         this.centerMarker = new Circle(this.group.element, "center-marker", 5);
         this.handle = new Circle(this.group.element, "handle", 10);
-        this.handle.setTransform(new Vector(140, 0), 0);
+        this.handle.setTransform(new Vector(machine.handlePosition.x, machine.handlePosition.y), 0);
         this.handle.appendTitle("drag to rotate plate");
         this.handleDraggable = new Draggable(this.handle.element, parent, {
-            onDrag: (pos) => {
-                this.rotate(pos.subtract(this.center).arg());
+            onDragStart: () => {
+                dragStartPose = this.getPose();
+            }, onDrag: (pos) => {
+                this.rotate(this.stopAtMount({ center: this.center, rotation: pos.subtract(this.center).arg() }).rotation);
+            }, onDragEnd: () => {
+                this.endMove(dragStartPose);
+            }, onDragCancel: () => {
+                this.setPose(dragStartPose);
             }
         })
 
+        // Keyboard control: arrows move the focused plate or turn the focused handle. Repeated presses
+        // report the same start pose to onMoveEnd, so they can be undone as one step, until the focus
+        // leaves or another key is pressed.
+        this.plate.setAttributes({ tabindex: 0, role: "button", "aria-roledescription": "movable plate" });
+        this.handle.setAttributes({ tabindex: 0, role: "slider", "aria-label": "Plate rotation", "aria-valuemin": -180, "aria-valuemax": 180 });
+        let nudgeFrom = null; // the pose before the first press
+        let nudgeTo = null; // the pose after the last press
+        const endNudge = () => nudgeFrom = nudgeTo = null;
+        const nudge = (e, pose) => {
+            if (!pose) {
+                // Shift picks the fine step
+                if (e.key !== "Shift") {
+                    endNudge();
+                }
+                return;
+            }
+            e.preventDefault();
+            // a move in between, e.g. a drag or an undo, starts a new step
+            const current = this.getPose();
+            if (!nudgeTo || current.center !== nudgeTo.center || current.rotation !== nudgeTo.rotation) {
+                nudgeFrom = current;
+            }
+            this.setRoundedPose(pose);
+            nudgeTo = this.getPose();
+            this.endMove(nudgeFrom);
+        };
+        this.plate.element.addEventListener("keydown", (e) => {
+            const moves = { ArrowLeft: new Vector(-1, 0), ArrowRight: new Vector(1, 0), ArrowUp: new Vector(0, -1), ArrowDown: new Vector(0, 1) };
+            const step = e.shiftKey ? this.nudgeStep / 10 : this.nudgeStep;
+            nudge(e, moves[e.key] && { center: this.center.add(moves[e.key].scale(step)), rotation: this.rotationAngle });
+        });
+        this.handle.element.addEventListener("keydown", (e) => {
+            const turns = { ArrowLeft: -1, ArrowDown: -1, ArrowRight: 1, ArrowUp: 1 };
+            const step = e.shiftKey ? this.nudgeStep / 10 : this.nudgeStep;
+            nudge(e, turns[e.key] && { center: this.center, rotation: this.rotationAngle + turns[e.key] * step });
+        });
+        this.plate.element.addEventListener("blur", endNudge);
+        this.handle.element.addEventListener("blur", endNudge);
+
         this.cutterArc = new Arc(this.group.element,
             "cutter-arc",
-            cutterRadius,
-            cutterArcDegrees,
+            cutter.radius,
+            cutter.arcDegrees,
             90);
         this.cutterArc.appendTitle("Cutter cut line");
 
+        const tailstockFixArcDegrees = MachineLibrary.tailstockFixArcDegrees(machine);
         this.tailstockFixArc = new Arc(this.group.element,
             "tailstock-arc",
-            tailstockFixArcRadius,
+            machine.tailstockFixArcRadius,
             tailstockFixArcDegrees,
             - tailstockFixArcDegrees / 2);
         this.tailstockFixArc.appendTitle("Tailstock morse taper sliding range")
@@ -843,17 +2517,297 @@ class CutterAssembly {
         this.offCenterDim = new Dimension(parent);
         this.distDim = new Dimension(parent);
         this.entryPointDim = new Dimension(parent);
+        this.wallBand = new Group(parent, "wall-band");
+        this.wallDim = new Dimension(parent);
+        this.wallDim.element.classList.add("wall-dim");
+        this.wallDim.setVisible(false);
+        this.rotationDim = new AngularDimension(parent);
+        this.sweepDim = new AngularDimension(parent);
+        this.radiusDim = new RadialDimension(parent);
+    }
+
+    getPose() {
+        return { center: this.center, rotation: this.rotationAngle };
+    }
+
+    setPose(pose) {
+        this.moveTo(pose.center);
+        this.rotate(pose.rotation);
+    }
+
+    /**
+     * Show a pose without calling onChange, e.g. during playback, so nothing is saved or pushed to the permalink.
+     * @param {{center: Vector, rotation: number}} pose - The pose to show.
+     */
+    showPose(pose) {
+        const onChange = this.onChange;
+        this.onChange = () => { };
+        try {
+            this.setPose(pose);
+        } finally {
+            this.onChange = onChange;
+        }
+    }
+
+    /**
+     * Move and rotate in one undoable step, e.g. from the keyboard or numeric inputs.
+     * @param {{center: Vector, rotation: number}} pose - The new pose.
+     */
+    place(pose) {
+        const startPose = this.getPose();
+        this.setRoundedPose(pose);
+        this.endMove(startPose);
+    }
+
+    // Round away floating point noise of repeated fine steps, and keep out of the mount zone
+    setRoundedPose(pose) {
+        const round = (value) => Math.round(value * 1000) / 1000;
+        this.setPose(this.stopAtMount({ center: new Vector(round(pose.center.x), round(pose.center.y)), rotation: round(pose.rotation) }));
+    }
+
+    /**
+     * Keep the kerf out of the mount zone: a move into it stops at its edge. A plate that already
+     * cuts into the zone, e.g. after the mount was changed, moves freely.
+     * @param {{center: Vector, rotation: number}} pose - The pose moved to.
+     * @returns {{center: Vector, rotation: number}} The pose, or the last one towards it clear of the zone.
+     */
+    stopAtMount(pose) {
+        const entersMount = ({ center, rotation }) => CutGeometry.entersMount(
+            new Cut(center, rotation, this.cutterRadius, this.currentCut.arcDegrees), this.cutterKerf, this.mount);
+        const from = this.getPose();
+        if (!entersMount(pose) || entersMount(from)) {
+            return pose;
+        }
+        let turn = pose.rotation - from.rotation;
+        turn -= 360 * Math.round(turn / 360);
+        const between = (t) => ({
+            center: from.center.add(pose.center.subtract(from.center).scale(t)),
+            rotation: from.rotation + turn * t,
+        });
+        // bisect for the edge of the zone
+        let clear = 0;
+        let blocked = 1;
+        for (let i = 0; i < 16; i++) {
+            const t = (clear + blocked) / 2;
+            if (entersMount(between(t))) {
+                blocked = t;
+            } else {
+                clear = t;
+            }
+        }
+        return between(clear);
+    }
+
+    /**
+     * Snap a dragged plate center, within the snapping tolerance: first to the position that leaves
+     * the wall thickness to the previous stored cut, else per axis to the grid, the blank face
+     * (plate center x) and the centerline (plate center or blade tip y).
+     * The wall position is searched once per frame for the latest center, moves in between snap
+     * to the last one found.
+     * @param {Vector} center - The dragged center.
+     * @returns {Vector} The snapped center; the guides of the snap targets are shown.
+     */
+    snapCenter(center) {
+        const { grid, edges, wall, tolerance } = this.snapping;
+        if (wall) {
+            this.wallSnap.center = center;
+            this.searchWallSnap();
+            const target = this.wallSnap.target;
+            if (target && target.subtract(center).magnitude() <= tolerance) {
+                this.showSnapGuides([{ type: "wall", center: target }]);
+                return target;
+            }
+        }
+
+        // plate center y that puts the blade tip on the centerline
+        const tipOnCenterline = center.y - CutGeometry.tip(new Cut(center, this.rotationAngle, this.cutterRadius, this.currentCut.arcDegrees)).y;
+        const xs = [];
+        const ys = [];
+        if (grid) {
+            xs.push(Math.round(center.x / GRID_STEP) * GRID_STEP);
+            ys.push(Math.round(center.y / GRID_STEP) * GRID_STEP);
+        }
+        if (edges) {
+            xs.push(this.workpieceDim.x);
+            ys.push(0, tipOnCenterline);
+        }
+        const nearest = (value, candidates) => candidates
+            .filter(candidate => Math.abs(candidate - value) <= tolerance)
+            .sort((a, b) => Math.abs(a - value) - Math.abs(b - value))[0];
+        const x = nearest(center.x, xs);
+        const y = nearest(center.y, ys);
+
+        const guides = [];
+        if (x !== undefined) {
+            guides.push({ type: "x", value: x });
+        }
+        if (y !== undefined) {
+            guides.push({ type: "y", value: edges && y === tipOnCenterline ? 0 : y });
+        }
+        this.showSnapGuides(guides);
+        return new Vector(x === undefined ? center.x : x, y === undefined ? center.y : y);
+    }
+
+    /**
+     * The plate center on the line from the previous stored cut's center through the dragged
+     * center, where the wall to that cut is the snapping wall thickness.
+     * @param {Vector} center - The dragged center.
+     * @returns {Vector|null} The center, or null without a previous cut or if no such position exists.
+     */
+    wallSnapTarget(center) {
+        const previous = this.previousCut();
+        const direction = previous && center.subtract(previous.center);
+        if (!direction || direction.magnitude() < 1e-6) {
+            return null;
+        }
+        const unit = direction.scale(1 / direction.magnitude());
+        const kerf = this.cutterKerf;
+        const wallAt = (t) => {
+            const cut = new Cut(previous.center.add(unit.scale(t)), this.rotationAngle, this.cutterRadius, this.currentCut.arcDegrees);
+            return BowlReport.wallThickness(cut, previous, kerf, this.workpieceDim, 1, this.woodOutline);
+        };
+
+        // walk out to the first position with enough wall, then bisect
+        const target = this.snapping.wallThickness;
+        const maxDistance = 4 * (target + kerf) + Math.abs(this.cutterRadius - previous.radius);
+        const step = Math.max(1, maxDistance / WALL_SNAP_STEPS);
+        let low = 0;
+        for (let t = step; t <= maxDistance; t += step) {
+            const wall = wallAt(t);
+            if (wall === null) {
+                return null;
+            }
+            if (wall >= target) {
+                let high = t;
+                for (let i = 0; i < 20; i++) {
+                    const middle = (low + high) / 2;
+                    if (wallAt(middle) >= target) {
+                        high = middle;
+                    } else {
+                        low = middle;
+                    }
+                }
+                return previous.center.add(unit.scale(high));
+            }
+            low = t;
+        }
+        return null;
+    }
+
+    /**
+     * @param {object[]} guides - The snap targets: {type: "x"|"y", value} lines or {type: "wall", center}.
+     */
+    showSnapGuides(guides) {
+        this.snapGuide.element.replaceChildren();
+        guides.forEach(guide => {
+            if (guide.type == "x") {
+                new SVGElement("line", "snap-guide-line", { x1: guide.value, y1: -1000, x2: guide.value, y2: 1000 })
+                    .appendTo(this.snapGuide.element);
+            } else if (guide.type == "y") {
+                new SVGElement("line", "snap-guide-line", { x1: -1000, y1: guide.value, x2: 1000, y2: guide.value })
+                    .appendTo(this.snapGuide.element);
+            } else {
+                const cut = new Cut(guide.center, this.rotationAngle, this.cutterRadius, this.currentCut.arcDegrees);
+                const points = CutGeometry.arcPoints(cut);
+                new SVGElement("path", "snap-guide-arc", { d: `M ${points.map(p => `${p.x} ${p.y}`).join(" L ")}` })
+                    .appendTo(this.snapGuide.element);
+                const tip = points[0];
+                const label = new SVGElement("text", "snap-guide-text", { x: tip.x, y: tip.y - 8 });
+                label.element.textContent = `${this.snapping.wallThickness} mm wall`;
+                label.appendTo(this.snapGuide.element);
+            }
+        });
+    }
+
+    /**
+     * @returns {string} The position and tailstock state, for screen readers.
+     */
+    describe() {
+        const number = (value) => +value.toFixed(1);
+        return `Plate at x ${number(this.center.x)} mm, y ${number(this.center.y)} mm, `
+            + `rotated ${number(this.rotationAngle)}°, tailstock ${this.tailstockReachable ? "can be fixed" : "out of range"}.`;
+    }
+
+    updateAria() {
+        this.plate.setAttributes({ "aria-label": this.describe() });
+        // the rotation is kept within ±360°, the slider reports it within its range of ±180°
+        const rotation = +((((this.rotationAngle + 180) % 360 + 360) % 360) - 180).toFixed(1);
+        this.handle.setAttributes({
+            "aria-valuenow": rotation,
+            "aria-valuetext": `${rotation}°`,
+        });
+    }
+
+    // Report a finished drag, so it can be undone as one step
+    endMove(startPose) {
+        const pose = this.getPose();
+        if (pose.center !== startPose.center || pose.rotation !== startPose.rotation) {
+            this.onMoveEnd(startPose, pose);
+        }
     }
 
     setWorkpieceDim(dim) {
         this.workpieceDim = dim;
     }
 
+    /**
+     * @param {object|null} mount - The mount zone to keep out of, see CoringPlan.parseMount.
+     */
+    setMount(mount) {
+        this.mount = mount;
+        this.checkMount();
+    }
+
+    /**
+     * @param {object|null} profile - The outline of an irregular blank, see BlankProfile, null for a cylinder.
+     */
+    setProfile(profile) {
+        this.outline = profile ? BlankProfile.outline(profile) : null;
+        this.woodOutline = profile ? BlankProfile.woodOutline(profile) : null;
+        this.updateEntryPointDim();
+        this.updateWallDim();
+    }
+
     setRadius(radius) {
         this.cutterRadius = radius;
         this.cutterArc.setRadius(radius);
         this.currentCut.radius = radius;
         this.currentCut.svg_arc.updatePath();
+        this.updateArcDims();
+    }
+
+    setArcDegrees(arcDegrees) {
+        this.cutterArc.arcAngle = arcDegrees;
+        this.cutterArc.setRadius(this.cutterRadius);
+        this.currentCut.arcDegrees = arcDegrees;
+        this.currentCut.svg_arc.updatePath();
+        this.updateArcDims();
+    }
+
+    /**
+     * Use the plate, handle and tailstock of a machine profile from the MachineLibrary.
+     * @param {object} machine - The machine profile.
+     */
+    setMachine(machine) {
+        this.machine = machine;
+        this.plate.setMachine(machine);
+        this.handle.setTransform(new Vector(machine.handlePosition.x, machine.handlePosition.y), 0);
+
+        const tailstockFixArcDegrees = MachineLibrary.tailstockFixArcDegrees(machine);
+        this.tailstockFixArc.arcAngle = tailstockFixArcDegrees;
+        this.tailstockFixArc.inherentRotation = -tailstockFixArcDegrees / 2;
+        this.tailstockFixArc.setRadius(machine.tailstockFixArcRadius);
+        this.moveTo(this.center);
+    }
+
+    /**
+     * Use the radius, sweep and kerf of a cutter from the CutterLibrary.
+     * @param {object} cutter - The cutter.
+     */
+    setCutter(cutter) {
+        this.cutterKerf = cutter.kerf;
+        this.setArcDegrees(cutter.arcDegrees);
+        this.setRadius(cutter.radius);
     }
 
     moveTo(pos) {
@@ -862,7 +2816,7 @@ class CutterAssembly {
         this.currentCut.svg_arc.updatePath();
 
         this.group.setTransform(pos, this.rotationAngle);
-        this.tailstock.setTransform(new Vector(pos.x + 180, 0), 0);
+        this.tailstock.setTransform(new Vector(pos.x + this.machine.tailstockOffset, 0), 0);
 
         if (pos.y < 0) {
             this.offCenterDim.update(new Vector(pos.x, 0), new Vector(0, pos.y));
@@ -873,7 +2827,7 @@ class CutterAssembly {
 
         this.restDim.update(
             new Vector(0, pos.y),
-            new Vector(pos.x - this.cutterRadius - cutterKerf / 2, 0));
+            new Vector(pos.x - this.cutterRadius - this.cutterKerf / 2, 0));
         this.distDim.update(
             new Vector(this.workpieceDim.x, pos.y),
             new Vector(pos.x - this.workpieceDim.x, 0));
@@ -884,48 +2838,93 @@ class CutterAssembly {
         this.distDim.setVisible(dimVis);
         this.offCenterDim.setVisible(Math.abs(pos.y) > 1);
         this.checkTailstockArc();
+        this.checkMount();
         this.updateEntryPointDim();
+        this.updateWallDim();
+        this.updateArcDims();
+        this.onChange();
     }
 
     rotate(angle) {
         this.rotationAngle = angle % 360;
         this.group.setTransform(this.center, this.rotationAngle);
-        this.checkTailstockArc();
         this.currentCut.rotation = angle;
+        this.checkTailstockArc();
+        this.checkMount();
+        this.updateEntryPointDim();
+        this.updateWallDim();
+        this.updateArcDims();
         this.currentCut.svg_arc.updatePath();
+        this.onChange();
     }
 
     checkTailstockArc() {
-        const startAngle = this.tailstockFixArc.inherentRotation + this.rotationAngle;
-        const endAngle = startAngle + this.tailstockFixArc.arcAngle;
-
-        const intersections = MathUtils.intersectionLineArcHorizontal(
-            this.center,
-            tailstockFixArcRadius,
-            startAngle,
-            endAngle,
-            0, // y0
-        );
-
-        const hasIntersections = intersections.length > 0;
+        const hasIntersections = CutGeometry.isTailstockReachable(this.center, this.rotationAngle, this.machine);
         this.tailstockFixArc.element.classList.toggle("has-intersections", hasIntersections);
+        this.tailstockReachable = hasIntersections;
+        this.updateAria();
+    }
+
+    // The arc of the cut on the plate turns red where its kerf would reach into the mount
+    checkMount() {
+        this.currentCut.svg_arc.element.classList.toggle("enters-mount",
+            CutGeometry.entersMount(this.currentCut, this.cutterKerf, this.mount));
+    }
+
+    // The wall to the nearest stored cut: a band along the arc, red where too thin, and the thinnest spot
+    updateWallDim() {
+        const cut = this.currentCut;
+        const same = (other) => other.center.x == cut.center.x && other.center.y == cut.center.y
+            && other.rotation == cut.rotation && other.radius == cut.radius;
+        const nearest = this.neighbourCuts()
+            .filter(other => !same(other))
+            .map(other => ({ other, distance: PlanValidator.arcDistance(cut, other, this.workpieceDim, this.woodOutline) }))
+            .sort((a, b) => a.distance - b.distance)[0];
+        const samples = nearest
+            ? BowlReport.wallSamples(cut, nearest.other, this.cutterKerf, this.workpieceDim, 1, this.woodOutline)
+            : [];
+
+        this.wallBand.element.replaceChildren(...samples.slice(1).map((sample, i) => new SVGElement("line",
+            sample.thickness < this.minWall ? "wall-band-thin" : "wall-band-ok", {
+            x1: samples[i].point.x,
+            y1: samples[i].point.y,
+            x2: sample.point.x,
+            y2: sample.point.y,
+        }).element));
+        if (samples.length == 0) {
+            this.wallDim.setVisible(false);
+            return;
+        }
+        // the thinnest spot may lie along the stored cut, measured like the validator
+        const thinnest = BowlReport.thinnestWall(cut, nearest.other, this.cutterKerf, this.workpieceDim, 1, this.woodOutline);
+        const thickest = Math.max(...samples.map(sample => sample.thickness));
+        this.wallDim.update(thinnest.point, thinnest.nearest.subtract(thinnest.point),
+            `wall ${thinnest.thickness.toFixed(0)}–${thickest.toFixed(0)} mm`);
+        this.wallDim.element.classList.toggle("wall-thin", thinnest.thickness < this.minWall);
+        this.wallDim.setVisible(true);
+    }
+
+    // The plate rotation against the centerline, and the sweep and radius of the cutter arc
+    updateArcDims() {
+        let rotation = this.rotationAngle;
+        rotation -= 360 * Math.round(rotation / 360);
+        this.rotationDim.update(this.center, ROTATION_DIM_RADIUS, 0, rotation);
+        this.rotationDim.setVisible(Math.abs(rotation) >= 0.05);
+
+        const start = 90 + this.rotationAngle;
+        const arcDegrees = this.currentCut.arcDegrees;
+        this.sweepDim.update(this.center, this.cutterRadius / 2, start, arcDegrees);
+        this.radiusDim.update(this.center, this.cutterRadius, start + arcDegrees / 4);
     }
 
+    // From where the kerf enters the blank out to the blank diameter
     updateEntryPointDim() {
-        const startAngle = this.cutterArc.inherentRotation + this.rotationAngle;
-        const endAngle = startAngle + this.cutterArc.arcAngle;
-
-        const intersections = MathUtils.intersectionLineArcVertical(
-            this.center,
-            this.cutterRadius + cutterKerf / 2,
-            startAngle,
-            endAngle,
-            this.workpieceDim.x // x0
-        );
+        const intersectPoint = this.outline
+            ? CutGeometry.outlineEntryPoint(this.currentCut, this.cutterKerf / 2, this.outline)
+            : CutGeometry.entryPoint(this.currentCut, this.cutterKerf / 2, this.workpieceDim.x);
 
         let showDim = false;
-        if (intersections.length == 1) {
-            const intersectPoint = intersections[0];
+        if (intersectPoint) {
             const dy = this.workpieceDim.y / 2 - intersectPoint.y;
             if (dy > 0 && dy < this.workpieceDim.y / 2) {
                 this.entryPointDim.update(intersectPoint,
@@ -943,33 +2942,73 @@ class Drawing extends SVGElement {
         super("svg", "root", {
             width: "100%",
             height: "100%",
-            viewBox: "-40 -200 700 400",
             xmlns: svgNs
         })
         document.getElementById("svg-container").appendChild(this.element);
 
         this.cuts = [];
         this.currentCut = new Cut(new Vector(0, 0), 0, 0);
+        this.editedIndex = 0; // place of the saved cut being edited among the stored cuts
+        this.changeListeners = [];
+        this.cutterLibrary = new CutterLibrary();
+        this.cutterLibrary.addChangeListener(() => this.updateCutterOptions());
+        this.cutter = this.cutterLibrary.cutters[0];
+        this.updateCutterOptions();
+        this.density = WOOD_SPECIES[0].density;
+        this.machineLibrary = new MachineLibrary();
+        this.machineLibrary.addChangeListener(() => this.updateMachineOptions());
+        this.machine = this.machineLibrary.machines[0];
+        this.updateMachineOptions();
+        this.history = new CommandHistory();
+        this.history.onChange = () => this.updateToolbar();
 
         this.defs = this.makeSvgDefs();
         this.makeCutClipPath();
         this.makeArrowHeadDefs();
-        this.makeGridLines();
+        this.makeHatchPatternDefs();
+        this.gridLines = new Group(this.element, "grid-lines");
 
         this.workpiece = new Workpiece(this.element, 50, 50, 80, 300);
+        this.fittedSize = null; // the blank size the view was last fitted to, see updateShapes
 
         this.cutGroup = new Group(this.element, "");
         this.cutGroup.setAttributes({ "clip-path": "url(#workpiece-clip)" })
         this.cutGroup.setAttributes({ "id": "stored-cuts" });
         this.cutGroupMirror = new SVGElement("use", "", { "href": "#stored-cuts", "transform": "scale(1,-1)" })
         this.cutGroupMirror.appendTo(this.element);
+        // cuts crossing the centerline are not symmetric to it, see CutArc
+        this.sectionCuts = new Group(this.element, "section-cuts");
+        this.sectionCuts.setAttributes({ "clip-path": "url(#blank-clip)" });
+        this.workpiece.mountZone.appendTo(this.element);
 
+        this.bowlRegions = new Group(this.cutGroup.element, "bowl-regions");
         this.storedCuts = new Group(this.cutGroup.element, "stored-cuts");
+        this.bowlLabels = new Group(this.element, "bowl-labels");
+        this.bowlRimDims = new Group(this.element, "bowl-rim-dims");
+        this.cutRadiusDim = new RadialDimension(this.element);
+        this.cutRadiusDim.setVisible(false);
 
-        this.currentCutArc = new CutArc(this.cutGroup.element, "current-cut-arc", this.currentCut, this.workpiece);
+        this.currentCutArc = new CutArc(this.cutGroup.element, "current-cut-arc", this.currentCut, this.workpiece, this.sectionCuts.element);
         this.currentCut.svg_arc = this.currentCutArc;
 
-        this.cutterAssembly = new CutterAssembly(this.element, 120, this.currentCut);
+        this.cutterAssembly = new CutterAssembly(this.element, this.cutter, this.currentCut, this.machine);
+        this.cutterAssembly.onChange = () => this.notifyChange();
+        this.cutterAssembly.onMoveEnd = (from, to) => {
+            // a further arrow key press from the same start extends the last step
+            const last = this.history.peek();
+            if (last instanceof MoveAssemblyCommand && last.from === from) {
+                last.to = to;
+            } else {
+                this.history.push(new MoveAssemblyCommand(this.cutterAssembly, from, to));
+            }
+        };
+        this.cutterAssembly.neighbourCuts = () => this.cuts;
+        // the wall snapping keeps its distance to the cut before the one on the plate
+        this.cutterAssembly.previousCut = () => {
+            const cuts = this.storedCutList();
+            const position = this.currentCut.wasSaved ? this.editedIndex : cuts.length;
+            return cuts[position - 1] || null;
+        };
 
         this.addCutButton = new SVGButton(
             this.element,           // parent: the main <svg> or a <g> in it
@@ -983,16 +3022,31 @@ class Drawing extends SVGElement {
                 },
             }
         );
+        this.undoButton = new SVGButton(this.element, "Undo", new Vector(-100, 45), {
+            width: 48,
+            onClick: () => this.undo(),
+        });
+        this.redoButton = new SVGButton(this.element, "Redo", new Vector(-48, 45), {
+            width: 48,
+            onClick: () => this.redo(),
+        });
+        this.deleteCutButton = new SVGButton(this.element, "Delete Cut", new Vector(-100, 80), {
+            width: 100,
+            onClick: () => this.deleteCurrentCut(),
+        });
+        this.updateToolbar();
 
 
-        // Center Line
-        const centerLine = new SVGElement("line", "centerline", {
-            x1: -1000,
-            y1: 0,
-            x2: 1000,
-            y2: 0
-        });
-        centerLine.appendTo(this.element);
+        // Center Line, its length follows the visible area
+        this.centerLine = new SVGElement("line", "centerline", { y1: 0, y2: 0 });
+        this.centerLine.appendTo(this.element);
+
+        this.setView({ x: -40, y: -200, width: 700, height: 400 });
+        this.makeViewGestures();
+        window.addEventListener("resize", debounce(() => this.coverVisibleArea(), 100));
+
+        this.measureTool = new MeasureTool(this);
+        this.outlineEditor = new OutlineEditor(this);
     }
 
     makeSvgDefs() {
@@ -1002,19 +3056,28 @@ class Drawing extends SVGElement {
         return defs;
     }
 
+    // The blank half below the centerline, which is mirrored, and the whole blank
     makeCutClipPath() {
-        const cp = document.createElementNS(svgNs, "clipPath");
-        cp.setAttribute("id", "workpiece-clip");
+        ["workpiece-clip", "blank-clip"].forEach(id => {
+            const cp = document.createElementNS(svgNs, "clipPath");
+            cp.setAttribute("id", id);
+
+            const shape = document.createElementNS(svgNs, "path");
+            shape.setAttribute("id", `${id}-shape`);
+            shape.setAttribute("d", "M 0 0 L 100 0 L 100 100 L 0 100 Z");
 
-        const cr = document.createElementNS(svgNs, "rect");
-        cr.setAttribute("id", "workpiece-clip-rect");
-        cr.setAttribute("x", 0);
-        cr.setAttribute("y", 0);
-        cr.setAttribute("width", 100);
-        cr.setAttribute("height", 100);
+            cp.appendChild(shape);
+            this.defs.appendChild(cp);
+        });
+    }
 
-        cp.appendChild(cr);
-        this.defs.appendChild(cp);
+    // Clip the cuts to the outline of the blank, the rectangle of a cylinder
+    updateClipPaths() {
+        const outline = this.workpiece.outline
+            || BlankProfile.outline(BlankProfile.cylinder(this.cutterAssembly.workpieceDim));
+        document.getElementById("workpiece-clip-shape").setAttribute("d",
+            "M " + outline.map(p => `${p.x} ${p.y}`).join(" L ") + " Z");
+        document.getElementById("blank-clip-shape").setAttribute("d", BlankProfile.sectionPath(outline));
     }
 
     makeArrowHeadDefs() {
@@ -1038,78 +3101,565 @@ class Drawing extends SVGElement {
         this.defs.appendChild(markerStart);
     }
 
-    makeGridLines(step = GRID_STEP) {
-        const { width, height } = this.element.viewBox.baseVal;
-        const range = Math.max(width, height) / step;
+    // Diagonal hatching of the mount zone
+    makeHatchPatternDefs() {
+        const pattern = document.createElementNS(svgNs, "pattern");
+        pattern.setAttribute("id", "mount-hatch");
+        pattern.setAttribute("width", "6");
+        pattern.setAttribute("height", "6");
+        pattern.setAttribute("patternUnits", "userSpaceOnUse");
+        pattern.setAttribute("patternTransform", "rotate(45)");
+
+        const line = document.createElementNS(svgNs, "line");
+        line.setAttribute("class", "mount-hatch-line");
+        line.setAttribute("x1", "0");
+        line.setAttribute("y1", "0");
+        line.setAttribute("x2", "0");
+        line.setAttribute("y2", "6");
+        pattern.appendChild(line);
+
+        this.defs.appendChild(pattern);
+    }
+
+    // Wheel and pinch zoom, dragging the empty canvas pans
+    makeViewGestures() {
+        const pointers = new Map(); // pointer id -> latest client position
+        const toDrawing = (position) => evtToMouseCoords(position, this.element);
+        const centroid = (points) => points.reduce((sum, p) => sum.add(p), new Vector(0, 0)).scale(1 / points.length);
+
+        this.element.addEventListener("pointerdown", (e) => {
+            if (!e.target.matches(PAN_SURFACES)) {
+                return;
+            }
+            pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+            this.element.setPointerCapture(e.pointerId);
+            this.element.classList.add("panning");
+        });
+        this.element.addEventListener("pointermove", (e) => {
+            if (!pointers.has(e.pointerId)) {
+                return;
+            }
+            e.preventDefault();
+            // both in the current view: what was under the pointers and what is under them now
+            const before = [...pointers.values()].slice(0, 2).map(toDrawing);
+            pointers.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+            const after = [...pointers.values()].slice(0, 2).map(toDrawing);
+            const anchor = centroid(after);
+            if (after.length == 2) {
+                const spread = after[1].subtract(after[0]).magnitude();
+                if (spread > 0) {
+                    this.zoom(before[1].subtract(before[0]).magnitude() / spread, anchor);
+                }
+            }
+            this.pan(centroid(before).subtract(anchor));
+        });
+        const release = (e) => {
+            pointers.delete(e.pointerId);
+            if (pointers.size == 0) {
+                this.element.classList.remove("panning");
+            }
+        };
+        this.element.addEventListener("pointerup", release);
+        this.element.addEventListener("pointercancel", release);
+
+        this.element.addEventListener("wheel", (e) => {
+            e.preventDefault();
+            const pixels = e.deltaY * [1, 16, 400][e.deltaMode];
+            this.zoom(Math.exp(pixels * 0.002), evtToMouseCoords(e, this.element));
+        }, { passive: false });
+    }
+
+    /**
+     * Show an area of the drawing, the viewBox.
+     * @param {object} view - x, y, width and height in drawing coordinates.
+     */
+    setView(view) {
+        this.view = view;
+        this.setAttributes({ "viewBox": `${view.x}, ${view.y}, ${view.width}, ${view.height}` });
+        this.coverVisibleArea();
+    }
+
+    /**
+     * Zoom around a point that stays in place on screen.
+     * @param {number} factor - Below 1 zooms in.
+     * @param {Vector} center - The fixed point in drawing coordinates.
+     */
+    zoom(factor, center) {
+        const { x, y, width, height } = this.view;
+        const scale = Math.min(Math.max(width * factor, ZOOM_MIN_WIDTH), ZOOM_MAX_WIDTH) / width;
+        this.setView({
+            x: center.x - (center.x - x) * scale,
+            y: center.y - (center.y - y) * scale,
+            width: width * scale,
+            height: height * scale,
+        });
+    }
+
+    /**
+     * @param {Vector} offset - The move of the view in drawing coordinates.
+     */
+    pan(offset) {
+        this.setView({ ...this.view, x: this.view.x + offset.x, y: this.view.y + offset.y });
+    }
+
+    // The blank with its dimensions and the toolbar
+    zoomToFit() {
+        const viewBoxHeight = this.workpiece.height + 100;
+        this.setView({ x: -40, y: -viewBoxHeight / 2, width: this.workpiece.width + 300, height: viewBoxHeight });
+    }
 
+    // The arc of the cut on the plate with its kerf
+    zoomToCut() {
+        const margin = this.cutterAssembly.cutterKerf + 20;
+        const points = CutGeometry.arcPoints(this.currentCut);
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const min = new Vector(Math.min(...xs) - margin, Math.min(...ys) - margin);
+        const max = new Vector(Math.max(...xs) + margin, Math.max(...ys) + margin);
+        const width = Math.max(max.x - min.x, ZOOM_MIN_WIDTH);
+        const height = Math.max(max.y - min.y, ZOOM_MIN_WIDTH);
+        this.setView({ x: (min.x + max.x - width) / 2, y: (min.y + max.y - height) / 2, width, height });
+    }
 
-        const createLine = (isHorizontal, value) => {
-            const attributes = isHorizontal
-                ? { x1: -1000, y1: value, x2: 1000, y2: value }
-                : { x1: value, y1: -1000, x2: value, y2: 1000 };
-            new SVGElement("line", "grid-line", attributes).appendTo(this.element);
+    /**
+     * The area on screen, larger than the viewBox where the aspect ratios of the viewBox and
+     * the element differ.
+     * @returns {object} x, y, width and height in drawing coordinates.
+     */
+    visibleArea() {
+        const { clientWidth, clientHeight } = this.element;
+        const { x, y, width, height } = this.view;
+        if (!clientWidth || !clientHeight) {
+            return this.view;
+        }
+        const scale = Math.min(clientWidth / width, clientHeight / height);
+        const visibleWidth = clientWidth / scale;
+        const visibleHeight = clientHeight / scale;
+        return {
+            x: x - (visibleWidth - width) / 2,
+            y: y - (visibleHeight - height) / 2,
+            width: visibleWidth,
+            height: visibleHeight,
         };
+    }
 
-        for (let i = -range; i <= range; i++) {
-            createLine(true, i * step); // Horizontal lines
-            createLine(false, i * step); // Vertical lines
+    // Regenerate the grid and stretch the centerline over the visible area
+    coverVisibleArea() {
+        const { x, y, width, height } = this.visibleArea();
+        let step = GRID_STEP;
+        while (Math.max(width, height) / step > GRID_MAX_LINES) {
+            step *= 2;
+        }
+        const lines = [];
+        for (let value = Math.ceil(x / step) * step; value <= x + width; value += step) {
+            lines.push(new SVGElement("line", "grid-line", { x1: value, y1: y, x2: value, y2: y + height }).element);
         }
+        for (let value = Math.ceil(y / step) * step; value <= y + height; value += step) {
+            lines.push(new SVGElement("line", "grid-line", { x1: x, y1: value, x2: x + width, y2: value }).element);
+        }
+        this.gridLines.element.replaceChildren(...lines);
+        this.centerLine.setAttributes({ x1: x, x2: x + width });
     }
 
     // Function to update shapes based on form input
     updateShapes() {
         const workpieceDiameter = parseFloat(document.getElementById("diameter").value);
         const workpieceHeight = parseFloat(document.getElementById("height").value);
-        const cutterDiameter = parseFloat(document.getElementById("cutter").value);
+        const cutter = this.cutterLibrary.get(document.getElementById("cutter").value);
+        const machine = this.machineLibrary.get(document.getElementById("machine").value);
+        const mountType = document.getElementById("mount-type").value;
+        const mount = mountType === "none" ? null : {
+            type: mountType,
+            diameter: parseFloat(document.getElementById("mount-diameter").value),
+            depth: parseFloat(document.getElementById("mount-depth").value),
+        };
+        const preset = document.getElementById("profile-preset").value;
+        const profileOptions = {
+            footDiameter: parseFloat(document.getElementById("profile-foot").value),
+            logRadius: parseFloat(document.getElementById("profile-log-radius").value),
+            bark: parseFloat(document.getElementById("profile-bark").value),
+            smooth: document.getElementById("profile-smooth").checked,
+        };
 
-        if (isNaN(workpieceDiameter) || workpieceDiameter <= 0 || isNaN(workpieceHeight) || workpieceHeight <= 0 || isNaN(cutterDiameter) || cutterDiameter <= 0) {
+        if (isNaN(workpieceDiameter) || workpieceDiameter <= 0 || isNaN(workpieceHeight) || workpieceHeight <= 0 || !cutter || !machine) {
             showValidationError(document.getElementById("diameter"), "Please enter valid values for diameter, height, and cutter size.");
             return;
         }
-
-        // calculate viewbox
-        const viewBoxHeight = workpieceDiameter + 100;
-        this.setAttributes({ "viewBox": `-40, ${- viewBoxHeight / 2}, ${workpieceHeight + 300}, ${viewBoxHeight}` });
+        if (mount && !(mount.diameter > 0 && mount.diameter <= workpieceDiameter && mount.depth > 0 && mount.depth < workpieceHeight)) {
+            showValidationError(document.getElementById("mount-diameter"), "Please enter a mount within the blank.");
+            return;
+        }
+        if (preset === "rough" && !(profileOptions.footDiameter > 0 && profileOptions.footDiameter <= workpieceDiameter)) {
+            showValidationError(document.getElementById("profile-foot"), "Please enter a foot diameter within the blank.");
+            return;
+        }
+        if (preset === "natural" && !(profileOptions.logRadius >= workpieceDiameter / 2)) {
+            showValidationError(document.getElementById("profile-log-radius"), "Please enter a log radius of at least the blank radius.");
+            return;
+        }
+        if (preset !== "none" && !(profileOptions.bark >= 0 && profileOptions.bark < Math.min(workpieceHeight, workpieceDiameter / 2) / 2)) {
+            showValidationError(document.getElementById("profile-bark"), "Please enter a bark thinner than half the blank.");
+            return;
+        }
+        const profile = this.makeProfile(preset, new Vector(workpieceHeight, workpieceDiameter), profileOptions);
 
         this.addCutButton.setTransform(new Vector(workpieceHeight + 50, -120), 0);
+        this.undoButton.setTransform(new Vector(workpieceHeight + 50, -75), 0);
+        this.redoButton.setTransform(new Vector(workpieceHeight + 102, -75), 0);
+        this.deleteCutButton.setTransform(new Vector(workpieceHeight + 50, -40), 0);
 
         // Update workpiece dimensions
         this.workpiece.resize(workpieceHeight, workpieceDiameter);
+        this.workpiece.setMount(mount);
+        // keep the zoom unless the blank size changed
+        if (!this.fittedSize || this.fittedSize.x != workpieceHeight || this.fittedSize.y != workpieceDiameter) {
+            this.fittedSize = new Vector(workpieceHeight, workpieceDiameter);
+            this.zoomToFit();
+        }
 
         // Update cutter assembly
+        this.cutter = cutter;
+        this.machine = machine;
         this.cutterAssembly.setWorkpieceDim(new Vector(workpieceHeight, workpieceDiameter));
-        this.cutterAssembly.setRadius(cutterDiameter / 2)
+        this.cutterAssembly.setMount(mount);
+        this.cutterAssembly.setMachine(machine);
+        this.cutterAssembly.setCutter(cutter);
         this.cutterAssembly.moveTo(DEFAULT_CUTTER_POSITION);
 
-        this.currentCut.radius = cutterDiameter / 2;
+        this.currentCut.radius = cutter.radius;
         this.currentCut.center = DEFAULT_CUTTER_POSITION;
         this.currentCut.rotation = 0;
 
-        const clip = document.getElementById("workpiece-clip-rect");
-        clip.setAttribute("x", 0);
-        clip.setAttribute("y", 0);
-        clip.setAttribute("width", workpieceHeight);
-        clip.setAttribute("height", workpieceDiameter / 2);
+        this.applyProfile(profile);
+        this.renderBowlRegions();
+        this.renderBowlLabels();
+        this.renderBowlRimDims();
+        this.notifyChange();
+    }
+
+    /**
+     * The blank outline chosen in the form; a custom outline is scaled with the blank.
+     * @param {string} preset - "none", "rough", "natural" or "custom".
+     * @param {Vector} workpieceDim - The new blank height (x) and diameter (y).
+     * @param {object} options - footDiameter, logRadius, bark and smooth.
+     * @returns {object|null} The profile, see BlankProfile, null for a cylinder.
+     */
+    makeProfile(preset, workpieceDim, { footDiameter, logRadius, bark, smooth }) {
+        const current = this.workpiece.profile;
+        const presets = {
+            none: () => null,
+            rough: () => BlankProfile.roughTurnedBowl(workpieceDim, footDiameter),
+            natural: () => BlankProfile.naturalEdge(workpieceDim, logRadius, bark),
+            custom: () => ({
+                ...(current
+                    ? BlankProfile.fit(current, new Vector(this.workpiece.width, this.workpiece.height), workpieceDim)
+                    : BlankProfile.cylinder(workpieceDim)),
+                bark,
+            }),
+        };
+        const profile = presets[preset]();
+        return profile && { ...profile, smooth };
+    }
+
+    // Draw the blank with its outline and clip the cuts to it, without touching the form
+    applyProfile(profile) {
+        this.workpiece.setProfile(profile);
+        this.cutterAssembly.setProfile(profile);
+        this.updateClipPaths();
+        this.outlineEditor.render();
+    }
+
+    /**
+     * Change the outline of the blank, e.g. while editing it; the form switches to a custom outline.
+     * @param {object|null} profile - The profile, see BlankProfile, null for a cylinder.
+     */
+    setProfile(profile) {
+        document.getElementById("profile-preset").value = profile ? "custom" : "none";
+        if (profile) {
+            document.getElementById("profile-bark").value = profile.bark;
+            document.getElementById("profile-smooth").checked = profile.smooth;
+        }
+        this.applyProfile(profile);
+        this.renderBowlRegions();
+        this.renderBowlLabels();
+        this.renderBowlRimDims();
+        this.notifyChange();
+    }
+
+    /**
+     * Register a callback invoked whenever the workpiece, the cuts or the assembly change.
+     * @param {function} listener - The callback.
+     */
+    addChangeListener(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    notifyChange() {
+        this.updateToolbar();
+        this.changeListeners.forEach(listener => listener(this));
+    }
+
+    // Grey out the toolbar buttons that have nothing to do
+    updateToolbar() {
+        const setEnabled = (button, enabled) => {
+            if (enabled) {
+                button.setColor("#007bff", "#0056b3");
+            } else {
+                button.setColor("#adb5bd", "#6c757d");
+            }
+        };
+        setEnabled(this.undoButton, this.history.canUndo());
+        setEnabled(this.redoButton, this.history.canRedo());
+        setEnabled(this.deleteCutButton, this.currentCut.wasSaved);
+        setEnabled(this.addCutButton, !this.entersMount(this.currentCut));
+    }
+
+    undo() {
+        this.history.undo();
+    }
+
+    redo() {
+        this.history.redo();
+    }
+
+    /**
+     * Snapshot of the cuts, the current cut and the assembly pose, used by DrawingCommand.
+     * @returns {object} The state.
+     */
+    captureState() {
+        return {
+            cuts: this.cuts.map(cut => cut.clone()),
+            currentCut: this.currentCut.clone(),
+            currentCutWasSaved: this.currentCut.wasSaved,
+            editedIndex: this.editedIndex,
+            pose: this.cutterAssembly.getPose(),
+        };
+    }
+
+    /**
+     * Restore a snapshot taken by captureState.
+     * @param {object} state - The state.
+     */
+    restoreState(state) {
+        this.cuts = state.cuts.map(cut => cut.clone());
+        // must modify existing object because multiple hold refernce to currentCut
+        this.currentCut.wasSaved = state.currentCutWasSaved;
+        this.editedIndex = state.editedIndex;
+        this.cutterAssembly.setArcDegrees(state.currentCut.arcDegrees);
+        this.cutterAssembly.setRadius(state.currentCut.radius);
+        this.cutterAssembly.setPose(state.pose);
+        this.renderCutShapes();
+        this.notifyChange();
+    }
+
+    /**
+     * The stored cuts in their order, including a saved cut that is currently being edited at its place.
+     * @returns {Cut[]} A new array, the edited cut as a copy.
+     */
+    storedCutList() {
+        const cuts = [...this.cuts];
+        if (this.currentCut.wasSaved) {
+            cuts.splice(this.editedIndex, 0, this.currentCut.clone());
+        }
+        return cuts;
+    }
+
+    /**
+     * Build a coring plan from the current state.
+     * A saved cut that is currently being edited is included with the stored cuts.
+     * @returns {object} The plan, see CoringPlan.
+     */
+    toPlan() {
+        const cuts = this.storedCutList();
+        const vector = (v) => ({ x: v.x, y: v.y });
+        return {
+            format: PLAN_FORMAT,
+            version: PLAN_VERSION,
+            workpiece: {
+                diameter: parseFloat(document.getElementById("diameter").value),
+                height: parseFloat(document.getElementById("height").value),
+                mount: this.workpiece.mount,
+                profile: this.workpiece.profile,
+            },
+            cutter: {
+                name: this.cutter.name,
+                radius: this.cutter.radius,
+                kerf: this.cutter.kerf,
+                arcDegrees: this.cutter.arcDegrees,
+                bladeThickness: this.cutter.bladeThickness,
+            },
+            machine: (({ id, ...machine }) => machine)(this.machine),
+            assembly: {
+                center: vector(this.cutterAssembly.center),
+                rotation: this.cutterAssembly.rotationAngle,
+            },
+            cuts: cuts.map(cut => ({
+                center: vector(cut.center),
+                rotation: cut.rotation,
+                radius: cut.radius,
+                arcDegrees: cut.arcDegrees,
+                locked: cut.locked,
+            })),
+        };
+    }
+
+    /**
+     * Restore the state from a plan previously validated by CoringPlan.parse.
+     * @param {object} plan - The plan.
+     */
+    applyPlan(plan) {
+        document.getElementById("diameter").value = plan.workpiece.diameter;
+        document.getElementById("height").value = plan.workpiece.height;
+        const mount = plan.workpiece.mount;
+        document.getElementById("mount-type").value = mount ? mount.type : "none";
+        if (mount) {
+            document.getElementById("mount-diameter").value = mount.diameter;
+            document.getElementById("mount-depth").value = mount.depth;
+        }
+        // the outline as it was drawn for the blank of the plan, see makeProfile
+        const profile = plan.workpiece.profile;
+        document.getElementById("profile-preset").value = profile ? "custom" : "none";
+        if (profile) {
+            document.getElementById("profile-bark").value = profile.bark;
+            document.getElementById("profile-smooth").checked = profile.smooth;
+        }
+        this.workpiece.resize(plan.workpiece.height, plan.workpiece.diameter);
+        this.workpiece.setProfile(profile);
+        document.getElementById("cutter").value = this.cutterLibrary.findOrAdd(plan.cutter).id;
+        if (plan.machine) {
+            document.getElementById("machine").value = this.machineLibrary.findOrAdd(plan.machine).id;
+        }
+        this.updateShapes();
+
+        this.cuts = plan.cuts.map(data => {
+            const cut = new Cut(new Vector(data.center.x, data.center.y), data.rotation, data.radius, data.arcDegrees);
+            cut.locked = data.locked;
+            return cut;
+        });
+        this.currentCut.wasSaved = false;
+        this.cutterAssembly.moveTo(new Vector(plan.assembly.center.x, plan.assembly.center.y));
+        this.cutterAssembly.rotate(plan.assembly.rotation);
+        this.renderCutShapes();
+        this.history.clear();
+    }
+
+    // Rebuild the cutter <select> from the library, keeping the selection while it exists
+    updateCutterOptions() {
+        fillProfileSelect(document.getElementById("cutter"), this.cutterLibrary,
+            cutter => `${cutter.name} (Ø${2 * cutter.radius} mm)`);
+
+        // edits of the cutter in use apply right away
+        if (this.cutterAssembly && this.cutterLibrary.get(this.cutter.id) === this.cutter) {
+            this.cutterAssembly.setCutter(this.cutter);
+            this.renderCutShapes();
+            this.notifyChange();
+        }
+    }
+
+    // Rebuild the machine <select> from the library, keeping the selection while it exists
+    updateMachineOptions() {
+        fillProfileSelect(document.getElementById("machine"), this.machineLibrary, machine => machine.name);
+
+        // edits of the machine in use apply right away
+        if (this.cutterAssembly && this.machineLibrary.get(this.machine.id) === this.machine) {
+            this.cutterAssembly.setMachine(this.machine);
+            this.notifyChange();
+        }
     }
 
+    // Export the fitted view with its grid, whatever is zoomed in on screen
     exportSvg() {
+        const view = this.view;
+        this.zoomToFit();
         ExportSvg.export(this.element);
+        this.setView(view);
+    }
+
+    /**
+     * @returns {object} The model for the CutSheet.
+     */
+    cutSheetModel() {
+        return {
+            cuts: this.storedCutList(),
+            cutter: this.cutter,
+            machine: this.machine,
+            workpieceDim: this.cutterAssembly.workpieceDim,
+            mount: this.workpiece.mount,
+            profile: this.workpiece.profile,
+        };
+    }
+
+    // Download the plan as a JSON file
+    exportPlan() {
+        const blob = new Blob([JSON.stringify(this.toPlan(), null, 2)], { type: "application/json" });
+        downloadBlob(blob, "bowl_saver_plan.json");
+    }
+
+    exportDxf() {
+        ExportDxf.export({
+            workpieceDim: this.cutterAssembly.workpieceDim,
+            cuts: this.storedCutList(),
+            kerf: this.cutter.kerf,
+            profile: this.workpiece.profile,
+        });
+    }
+
+    /**
+     * @param {string} format - "stl" or "obj".
+     * @param {number} segments - The mesh resolution around the lathe axis.
+     * @param {number|null} index - The 0-based bowl to export, null for all bowls.
+     */
+    exportMesh(format, segments, index) {
+        const regions = BowlReport.regions(this.storedCutList(), this.cutter.kerf, this.cutterAssembly.workpieceDim, this.workpiece.woodOutline);
+        ExportMesh.export(regions, format, segments, index);
     }
 
     addCurrentCut() {
-        this.cuts.push(this.currentCut.clone());
-        this.currentCut.wasSaved = false;
-        this.renderCutShapes();
+        // the mount zone is never cut
+        if (this.entersMount(this.currentCut)) {
+            return;
+        }
+        this.history.execute(new DrawingCommand(this, () => {
+            // a saved cut being edited goes back to its place
+            this.cuts = this.currentCut.wasSaved ? this.storedCutList() : [...this.cuts, this.currentCut.clone()];
+            this.currentCut.wasSaved = false;
+            this.renderCutShapes();
+            this.notifyChange();
+        }));
+    }
+
+    /**
+     * @param {Cut} cut - The cut.
+     * @returns {boolean} True if its kerf reaches into the mount zone of the blank.
+     */
+    entersMount(cut) {
+        return CutGeometry.entersMount(cut, this.cutter.kerf, this.workpiece.mount);
+    }
+
+    // Discard the stored cut that is currently being edited
+    deleteCurrentCut() {
+        if (!this.currentCut.wasSaved) {
+            return;
+        }
+        this.history.execute(new DrawingCommand(this, () => {
+            this.currentCut.wasSaved = false;
+            this.notifyChange();
+        }));
     }
 
     // Position the cutterAssembly to the chosen cut
     selectCut(index) {
-        const cut = this.cuts[index];
-        this.cuts.splice(index, 1);
-        if (this.currentCut.wasSaved) {
-            // modified a saved cut, save it again
-            this.cuts.push(this.currentCut.clone());
-        }
+        this.history.execute(new DrawingCommand(this, () => this.moveCutToEditor(index)));
+    }
+
+    moveCutToEditor(index) {
+        // a modified saved cut is saved again at its place, the selected one keeps its place while edited
+        const cuts = this.storedCutList();
+        const position = this.currentCut.wasSaved && index >= this.editedIndex ? index + 1 : index;
+        const cut = cuts[position];
+        cuts.splice(position, 1);
+        this.cuts = cuts;
+        this.editedIndex = position;
         // must modify existing object because multiple hold refernce to currentCut
         this.currentCut.center = cut.center;
         this.currentCut.radius = cut.radius;
@@ -1117,8 +3667,10 @@ class Drawing extends SVGElement {
         this.currentCut.wasSaved = true;
         this.cutterAssembly.moveTo(cut.center);
         this.cutterAssembly.rotate(cut.rotation);
+        this.cutterAssembly.setArcDegrees(cut.arcDegrees);
         this.cutterAssembly.setRadius(cut.radius);
         this.renderCutShapes();
+        this.notifyChange();
     }
 
     // Remove old arcs and draw new ones
@@ -1127,11 +3679,232 @@ class Drawing extends SVGElement {
         existingCutArcs.forEach(arc => arc.remove());
 
         this.cuts.forEach((cut, idx) => {
-            let e = new CutArc(this.storedCuts.element, "cut-arc", cut, this.workpiece);
+            let e = new CutArc(this.storedCuts.element, "cut-arc", cut, this.workpiece, this.sectionCuts.element);
+            cut.svg_arc = e;
             e.element.classList.add("cut-arc-group");
+            e.element.classList.toggle("cut-locked", cut.locked);
             e.element.addEventListener("click", (evt) => {
-                this.selectCut(idx);
+                if (!cut.locked) {
+                    this.selectCut(idx);
+                }
+            });
+            e.element.addEventListener("mouseenter", () => this.showCutRadius(cut));
+            e.element.addEventListener("mouseleave", () => this.showCutRadius(null));
+        });
+        this.showCutRadius(null);
+        this.renderBowlRegions();
+        this.renderBowlLabels();
+        this.renderBowlRimDims();
+        this.cutterAssembly.updateWallDim();
+    }
+
+    /**
+     * Change the stored cut list in one undoable step. A saved cut being edited is put back
+     * at its place first, the assembly stays where it is.
+     * @param {function} action - Modifies the list of stored cuts in place.
+     */
+    editStoredCuts(action) {
+        this.history.execute(new DrawingCommand(this, () => {
+            const cuts = this.storedCutList();
+            action(cuts);
+            this.cuts = cuts;
+            this.currentCut.wasSaved = false;
+            this.renderCutShapes();
+            this.notifyChange();
+        }));
+    }
+
+    /**
+     * @param {number} position - The index in storedCutList.
+     * @param {{x: number, y: number, rotation: number, radius: number}} values - The new values.
+     */
+    updateCut(position, { x, y, rotation, radius }) {
+        this.editStoredCuts(cuts => {
+            const cut = cuts[position];
+            if (!cut.locked) {
+                cut.center = new Vector(x, y);
+                cut.rotation = rotation;
+                cut.radius = radius;
+            }
+        });
+    }
+
+    deleteCut(position) {
+        this.editStoredCuts(cuts => {
+            if (!cuts[position].locked) {
+                cuts.splice(position, 1);
+            }
+        });
+    }
+
+    // Insert an unlocked copy after the cut
+    duplicateCut(position) {
+        this.editStoredCuts(cuts => {
+            const copy = cuts[position].clone();
+            copy.locked = false;
+            cuts.splice(position + 1, 0, copy);
+        });
+    }
+
+    setCutLocked(position, locked) {
+        this.editStoredCuts(cuts => cuts[position].locked = locked);
+    }
+
+    // Move a cut to another place in the cutting order
+    moveCut(from, to) {
+        this.editStoredCuts(cuts => cuts.splice(to, 0, ...cuts.splice(from, 1)));
+    }
+
+    /**
+     * Emphasize the arc of a stored cut, e.g. while hovering it in the cut list.
+     * @param {number|null} position - The index in storedCutList, null for none.
+     */
+    highlightCut(position) {
+        const cuts = this.storedCutList();
+        cuts.forEach((cut, i) => {
+            const index = this.cutIndexOf(i);
+            const arc = index === null ? this.currentCut.svg_arc : this.cuts[index].svg_arc;
+            if (arc) {
+                arc.element.classList.toggle("cut-highlight", i == position);
+            }
+        });
+        this.showCutRadius(position === null ? null : cuts[position] || null);
+    }
+
+    /**
+     * Dimension the radius of a stored cut to the middle of its arc.
+     * @param {Cut|null} cut - The cut, null hides the dimension.
+     */
+    showCutRadius(cut) {
+        if (cut) {
+            this.cutRadiusDim.update(cut.center, cut.radius, 90 + cut.rotation + cut.arcDegrees / 2);
+        }
+        this.cutRadiusDim.setVisible(cut !== null);
+    }
+
+    /**
+     * @param {number} position - The index in storedCutList.
+     * @returns {number|null} The index in this.cuts, null for the saved cut being edited.
+     */
+    cutIndexOf(position) {
+        if (!this.currentCut.wasSaved || position < this.editedIndex) {
+            return position;
+        }
+        return position == this.editedIndex ? null : position - 1;
+    }
+
+    /**
+     * Replace the stored cuts by a nest proposed by CoringPlanner for the current blank and cutter.
+     * @param {number} minWall - The minimum wall thickness.
+     * @param {number} minBase - The minimum base thickness.
+     * @returns {number} The number of proposed cuts.
+     */
+    autoPlan(minWall, minBase) {
+        const cuts = CoringPlanner.plan({
+            workpieceDim: this.cutterAssembly.workpieceDim,
+            cutter: this.cutter,
+            machine: this.machine,
+            minWall,
+            minBase,
+            mount: this.workpiece.mount,
+            outline: this.workpiece.woodOutline,
+        });
+        if (cuts.length == 0) {
+            return 0;
+        }
+        this.history.execute(new DrawingCommand(this, () => {
+            this.cuts = cuts;
+            this.currentCut.wasSaved = false;
+            this.renderCutShapes();
+            this.notifyChange();
+        }));
+        return cuts.length;
+    }
+
+    /**
+     * Check the stored cuts and the cut being edited, and highlight the offending arcs.
+     * @param {number} minWall - The minimum wall thickness.
+     * @param {number} minBase - The minimum base thickness.
+     * @returns {{cuts: Cut[], message: string}[]} The warnings, see PlanValidator.
+     */
+    validate(minWall, minBase) {
+        const isStored = this.cuts.some(cut => cut.center.x === this.currentCut.center.x
+            && cut.center.y === this.currentCut.center.y
+            && cut.rotation === this.currentCut.rotation
+            && cut.radius === this.currentCut.radius);
+        const warnings = PlanValidator.validate({
+            cuts: this.cuts,
+            currentCut: isStored ? null : this.currentCut,
+            kerf: this.cutter.kerf,
+            workpieceDim: this.cutterAssembly.workpieceDim,
+            machine: this.machine,
+            minWall,
+            minBase,
+            mount: this.workpiece.mount,
+            outline: this.workpiece.woodOutline,
+        });
+
+        const offending = new Set(warnings.flatMap(warning => warning.cuts));
+        [...this.cuts, this.currentCut].forEach(cut => {
+            if (cut.svg_arc) {
+                cut.svg_arc.element.classList.toggle("cut-warning", offending.has(cut));
+            }
+        });
+        return warnings;
+    }
+
+    /**
+     * The bowls produced by the stored cuts, including a saved cut being edited, see BowlReport.
+     * @returns {object[]} The bowls, innermost first.
+     */
+    bowlReport() {
+        return BowlReport.compute(this.storedCutList(), this.cutter.kerf, this.cutterAssembly.workpieceDim, this.workpiece.woodOutline);
+    }
+
+    kerfVolume() {
+        return BowlReport.kerfVolume(this.storedCutList(), this.cutter.kerf, this.cutterAssembly.workpieceDim, this.workpiece.woodOutline);
+    }
+
+    /**
+     * @param {number} density - The wood density in kg/m³ for the bowl weights.
+     */
+    setDensity(density) {
+        this.density = density;
+        this.renderBowlLabels();
+        this.notifyChange();
+    }
+
+    // The material of every bowl, each in its colour
+    renderBowlRegions() {
+        const regions = BowlReport.regions(this.storedCutList(), this.cutter.kerf, this.cutterAssembly.workpieceDim, this.workpiece.woodOutline);
+        this.bowlRegions.element.replaceChildren(...regions.map((region, i) => new SVGElement("path", "bowl-region", {
+            d: MaterialRegion.toPath(region),
+            fill: BOWL_COLORS[i % BOWL_COLORS.length],
+        }).element));
+    }
+
+    // The rim diameters at the face, the innermost bowl closest to it
+    renderBowlRimDims() {
+        const faceX = this.cutterAssembly.workpieceDim.x;
+        this.bowlRimDims.element.replaceChildren();
+        this.bowlReport().filter(bowl => bowl.rimDiameter !== null).forEach((bowl, i) => {
+            new RadialDimension(this.bowlRimDims.element, true)
+                .update(new Vector(faceX + 12 * (i + 1), 0), bowl.rimDiameter / 2, 90);
+        });
+    }
+
+    renderBowlLabels() {
+        this.bowlLabels.element.replaceChildren();
+        this.bowlReport().forEach(bowl => {
+            const label = new SVGElement("text", "bowl-label", {
+                x: bowl.labelPosition.x,
+                y: bowl.labelPosition.y,
             });
+            const weight = `${BowlReport.weight(bowl.volume, this.density).toFixed(1)} kg`;
+            label.element.textContent = bowl.rimDiameter === null
+                ? `#${bowl.index} ${weight}`
+                : `#${bowl.index} Ø${bowl.rimDiameter.toFixed(0)} ${weight}`;
+            label.appendTo(this.bowlLabels.element);
         });
     }
 
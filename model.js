@@ -0,0 +1,2248 @@
+/**
+ * The coring model without the DOM: geometry, cuts, cutter and machine profiles, the plan format,
+ * the bowl report, the planner and the validation. Loaded before functions.js in the pages,
+ * with require() in Node, see cli.js.
+ */
+
+/**
+ * Utility class for common mathematical operations and angle conversions.
+ */
+class MathUtils {
+    /**
+     * Convert degrees to radians.
+     * @param {number} degrees - The angle in degrees.
+     * @returns {number} The angle in radians.
+     */
+    static degreesToRadians(degrees) {
+        return (degrees * Math.PI) / 180;
+    }
+
+    /**
+     * Convert radians to degrees.
+     * @param {number} radians - The angle in radians.
+     * @returns {number} The angle in degrees.
+     */
+    static radiansToDegrees(radians) {
+        return (radians * 180) / Math.PI;
+    }
+
+    /**
+     * Calculate angle (in degrees) from arc length and radius.
+     * @param {number} radius - The radius of the arc.
+     * @param {number} length - The length of the arc.
+     * @returns {number} The angle in degrees.
+     */
+    static angleFromArcLength(radius, length) {
+        return (length / radius) * (180 / Math.PI);
+    }
+
+    /**
+     * Normalize an angle to the range [0, 360).
+     * @param {number} angle - The angle to normalize.
+     * @returns {number} The normalized angle.
+     */
+    static normalizeAngle(angle) {
+        return (angle + 360) % 360;
+    }
+
+    /**
+     * Convert polar coordinates to Cartesian coordinates.
+     * @param {number} radius - The radius.
+     * @param {number} angleInDegrees - The angle in degrees.
+     * @returns {Vector} The Cartesian coordinates as a Vector.
+     */
+    static polarToCartesian(radius, angleInDegrees) {
+        const angleInRadians = (angleInDegrees - 90) * (Math.PI / 180.0);
+        return new Vector(
+            radius * Math.cos(angleInRadians),
+            radius * Math.sin(angleInRadians)
+        );
+    }
+
+    static normalizeAngle(angle) {
+        return (angle + 360) % 360;
+    }
+
+    /**
+     * Checks if an angle is between two other angles, considering wrapping and negative angles.
+     * @param {number} angle - The angle to check (in degrees).
+     * @param {number} startAngle - The start of the range (in degrees).
+     * @param {number} endAngle - The end of the range (in degrees).
+     * @returns {boolean} True if the angle is within the range, false otherwise.
+     */
+    static isAngleBetween(angle, startAngle, endAngle) {
+        // Normalize angles to the range [0, 360)
+        const normalizedAngle = MathUtils.normalizeAngle(angle);
+        const normalizedStart = MathUtils.normalizeAngle(startAngle);
+        const normalizedEnd = MathUtils.normalizeAngle(endAngle);
+
+        // If the range doesn't cross 0
+        if (normalizedStart <= normalizedEnd) {
+            return normalizedAngle >= normalizedStart && normalizedAngle <= normalizedEnd;
+        }
+        // If the range crosses 0
+        return normalizedAngle >= normalizedStart || normalizedAngle <= normalizedEnd;
+    }
+
+
+
+    /**
+     * Find the intersection points between a line and an arc.
+     * @param {Vector} arcCenter - The center of the arc.
+     * @param {number} r - The radius of the arc.
+     * @param {number} arcStart - The start angle of the arc (in degrees).
+     * @param {number} arcEnd - The end angle of the arc (in degrees).
+     * @param {number} x0 - The x-coordinate of the vertical line.
+     * @returns {Vector[]} An array of intersection points that lie on the arc.
+     */
+    static intersectionLineArcVertical(
+        arcCenter,
+        r,
+        arcStart,
+        arcEnd,
+        x0 = 0,
+    ) {
+        const h = arcCenter.x;
+        const k = arcCenter.y;
+
+        const discriminant = r * r - (x0 - h) * (x0 - h);
+        if (discriminant < 0) {
+            return []; // No intersection
+        }
+        const sqrtD = Math.sqrt(discriminant);
+        return MathUtils.getIntersectingArcs(new Vector(x0, k + sqrtD), new Vector(x0, k - sqrtD), arcCenter, arcStart, arcEnd);
+    }
+
+
+    /**
+     * Find the intersection points between a line and an arc.
+     * @param {Vector} arcCenter - The center of the arc.
+     * @param {number} r - The radius of the arc.
+     * @param {number} arcStart - The start angle of the arc (in degrees).
+     * @param {number} arcEnd - The end angle of the arc (in degrees).
+     * @param {number} y0 - The y-coordinate of the horizontal line.
+     * @returns {Vector[]} An array of intersection points that lie on the arc.
+     */
+    static intersectionLineArcHorizontal(
+        arcCenter,
+        r,
+        arcStart,
+        arcEnd,
+        isHorizontal = false,
+        y0 = 0
+    ) {
+        const h = arcCenter.x;
+        const k = arcCenter.y;
+
+        // For a horizontal line, (y = y0),
+        // circle eqn => (x - h)^2 + (y - k)^2 = r^2
+        // Plug y0 in => (x - h)^2 + (y0 - k)^2 = r^2
+        const term = r * r - (y0 - k) * (y0 - k);
+        if (term < 0) {
+            return []; // No intersection
+        }
+        const sqrtT = Math.sqrt(term);
+        return MathUtils.getIntersectingArcs(new Vector(h + sqrtT, y0), new Vector(h - sqrtT, y0), arcCenter, arcStart, arcEnd);
+    }
+
+
+    /**
+     * Find the intersection points between a line and an arc.
+     * @param {Vector} arcCenter - The center of the arc.
+     * @param {number} r - The radius of the arc.
+     * @param {number} arcStart - The start angle of the arc (in degrees).
+     * @param {number} arcEnd - The end angle of the arc (in degrees).
+     * @param {number} m - The slope of the line (ignored if line is vertical or horizontal).
+     * @param {number} c - The y-intercept of the line (ignored if line is vertical/horizontal).
+     * @returns {Vector[]} An array of intersection points that lie on the arc.
+     */
+    static intersectionLineArcAngle(
+        arcCenter,
+        r,
+        arcStart,
+        arcEnd,
+        m,
+        c,
+    ) {
+        const h = arcCenter.x;
+        const k = arcCenter.y;
+
+        const A = 1 + m * m;
+        const B = -2 * h + 2 * m * (c - k);
+        const C = h * h + (c - k) * (c - k) - r * r;
+
+        const discriminant = B * B - 4 * A * C;
+        if (discriminant < 0) {
+            return []; // No intersection
+        }
+        const sqrtDiscriminant = Math.sqrt(discriminant);
+
+        const x1 = (-B + sqrtDiscriminant) / (2 * A);
+        const x2 = (-B - sqrtDiscriminant) / (2 * A);
+
+        return MathUtils.getIntersectingArcs(new Vector(x1, m * x1 + c), new Vector(x2, m * x2 + c), arcCenter, arcStart, arcEnd);
+    }
+
+    static getIntersectingArcs(p1, p2, arcCenter, arcStart, arcEnd) {
+        const points = [];
+        if (isWithinArc(p1)) points.push(p1);
+        if (isWithinArc(p2)) points.push(p2);
+        return points;
+
+        // ---------------------------------------
+        // Helper to check if a point is on the arc
+        // ---------------------------------------
+        function isWithinArc(pt) {
+            // Convert point -> angle in degrees relative to arcCenter
+            // Then check arcStart..arcEnd (accounting for angle wrap).
+            const angle = pt.subtract(arcCenter).arg();
+            return MathUtils.isAngleBetween(angle, arcStart, arcEnd);
+        }
+    }
+
+    /**
+     * Find the intersection points of two circles.
+     * @param {Vector} center1 - The center of the first circle.
+     * @param {number} r1 - The radius of the first circle.
+     * @param {Vector} center2 - The center of the second circle.
+     * @param {number} r2 - The radius of the second circle.
+     * @returns {Vector[]} Two points, one where the circles touch, none for concentric circles.
+     */
+    static intersectionCircleCircle(center1, r1, center2, r2) {
+        const between = center2.subtract(center1);
+        const d = between.magnitude();
+        if (d < 1e-9 || d > r1 + r2 || d < Math.abs(r1 - r2)) {
+            return [];
+        }
+        // the chord through both points crosses the line between the centers at a from center1
+        const a = (r1 * r1 - r2 * r2 + d * d) / (2 * d);
+        const h = Math.sqrt(Math.max(r1 * r1 - a * a, 0));
+        const unit = between.scale(1 / d);
+        const foot = center1.add(unit.scale(a));
+        if (h < 1e-9) {
+            return [foot];
+        }
+        const normal = new Vector(-unit.y, unit.x).scale(h);
+        return [foot.add(normal), foot.subtract(normal)];
+    }
+
+    /**
+     * Find the intersection points of two arcs.
+     * @param {Vector} center1 - The center of the first arc.
+     * @param {number} r1 - The radius of the first arc.
+     * @param {number} start1 - The start angle of the first arc (in degrees).
+     * @param {number} end1 - The end angle of the first arc (in degrees).
+     * @param {Vector} center2 - The center of the second arc.
+     * @param {number} r2 - The radius of the second arc.
+     * @param {number} start2 - The start angle of the second arc (in degrees).
+     * @param {number} end2 - The end angle of the second arc (in degrees).
+     * @returns {Vector[]} The intersection points that lie on both arcs.
+     */
+    static intersectionArcArc(center1, r1, start1, end1, center2, r2, start2, end2) {
+        return MathUtils.intersectionCircleCircle(center1, r1, center2, r2).filter(p =>
+            MathUtils.isAngleBetween(p.subtract(center1).arg(), start1, end1)
+            && MathUtils.isAngleBetween(p.subtract(center2).arg(), start2, end2));
+    }
+
+    /**
+     * Find the intersection points of a line segment and a circle.
+     * @param {Vector} from - The start of the segment.
+     * @param {Vector} to - The end of the segment.
+     * @param {Vector} center - The center of the circle.
+     * @param {number} r - The radius of the circle.
+     * @returns {Vector[]} The intersection points that lie on the segment.
+     */
+    static intersectionSegmentCircle(from, to, center, r) {
+        const d = to.subtract(from);
+        const f = from.subtract(center);
+        const a = d.x * d.x + d.y * d.y;
+        const b = 2 * (f.x * d.x + f.y * d.y);
+        const c = f.x * f.x + f.y * f.y - r * r;
+        const discriminant = b * b - 4 * a * c;
+        if (a == 0 || discriminant < 0) {
+            return [];
+        }
+        const sqrtD = Math.sqrt(discriminant);
+        const ts = sqrtD == 0 ? [-b / (2 * a)] : [(-b - sqrtD) / (2 * a), (-b + sqrtD) / (2 * a)];
+        return ts.filter(t => t >= 0 && t <= 1).map(t => from.add(d.scale(t)));
+    }
+
+    /**
+     * Clip a polygon to an axis-aligned rectangle (Sutherland–Hodgman).
+     * @param {Vector[]} points - The polygon, need not be convex.
+     * @param {Vector} min - The lower left corner of the rectangle.
+     * @param {Vector} max - The upper right corner of the rectangle.
+     * @returns {Vector[]} The clipped polygon, empty if nothing is left.
+     */
+    static clipPolygonToRect(points, min, max) {
+        const edges = [
+            { inside: p => p.x >= min.x, cross: (a, b) => MathUtils.interpolateX(a, b, min.x) },
+            { inside: p => p.x <= max.x, cross: (a, b) => MathUtils.interpolateX(a, b, max.x) },
+            { inside: p => p.y >= min.y, cross: (a, b) => MathUtils.interpolateY(a, b, min.y) },
+            { inside: p => p.y <= max.y, cross: (a, b) => MathUtils.interpolateY(a, b, max.y) },
+        ];
+        return edges.reduce((polygon, edge) => {
+            const clipped = [];
+            polygon.forEach((current, i) => {
+                const previous = polygon[(i + polygon.length - 1) % polygon.length];
+                if (edge.inside(current)) {
+                    if (!edge.inside(previous)) {
+                        clipped.push(edge.cross(previous, current));
+                    }
+                    clipped.push(current);
+                } else if (edge.inside(previous)) {
+                    clipped.push(edge.cross(previous, current));
+                }
+            });
+            return clipped;
+        }, points);
+    }
+
+    // Point on the segment a-b at the given x, resp. y
+    static interpolateX(a, b, x) {
+        return new Vector(x, a.y + (b.y - a.y) * (x - a.x) / (b.x - a.x));
+    }
+
+    static interpolateY(a, b, y) {
+        return new Vector(a.x + (b.x - a.x) * (y - a.y) / (b.y - a.y), y);
+    }
+
+    /**
+     * The point of the segment a-b nearest to a point.
+     * @param {Vector} point - The point.
+     * @param {Vector} a - The start of the segment.
+     * @param {Vector} b - The end of the segment.
+     * @returns {Vector} The nearest point.
+     */
+    static closestPointOnSegment(point, a, b) {
+        const ab = b.subtract(a);
+        const lengthSquared = ab.x * ab.x + ab.y * ab.y;
+        if (lengthSquared == 0) {
+            return a;
+        }
+        const ap = point.subtract(a);
+        const t = Math.max(0, Math.min(1, (ap.x * ab.x + ap.y * ab.y) / lengthSquared));
+        return a.add(ab.scale(t));
+    }
+
+    /**
+     * Whether a point lies inside a polygon (even-odd rule).
+     * @param {Vector} point - The point.
+     * @param {Vector[]} points - The polygon.
+     * @returns {boolean} True if inside.
+     */
+    static isPointInPolygon(point, points) {
+        let inside = false;
+        points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            if ((a.y > point.y) != (b.y > point.y)
+                && point.x < a.x + (b.x - a.x) * (point.y - a.y) / (b.y - a.y)) {
+                inside = !inside;
+            }
+        });
+        return inside;
+    }
+
+    /**
+     * Volume of the solid swept by revolving a polygon around the x-axis (Pappus).
+     * The polygon must not cross the axis.
+     * @param {Vector[]} points - The polygon.
+     * @returns {number} The volume.
+     */
+    static revolvedVolume(points) {
+        // the first moment of area about the x-axis, area * centroid distance
+        let moment = 0;
+        points.forEach((a, i) => {
+            const b = points[(i + 1) % points.length];
+            moment += (a.x * b.y - b.x * a.y) * (a.y + b.y);
+        });
+        return 2 * Math.PI * Math.abs(moment / 6);
+    }
+
+}
+
+/**
+ * Represents a 2D vector with basic vector operations.
+ */
+class Vector {
+    /**
+     * Construct a Vector.
+     * @param {number} x - The x-coordinate.
+     * @param {number} y - The y-coordinate.
+     */
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    // Create a vector from polar coordinates
+    static fromPolar(magnitude, angleInDegrees) {
+        const angleInRadians = MathUtils.degreesToRadians(angleInDegrees);
+        return new Vector(
+            magnitude * Math.cos(angleInRadians),
+            magnitude * Math.sin(angleInRadians)
+        );
+    }
+
+    /**
+     * Add another vector to this vector.
+     * @param {Vector} vector - The vector to add.
+     * @returns {Vector} The resulting vector.
+     */
+    add(vector) {
+        return new Vector(this.x + vector.x, this.y + vector.y);
+    }
+
+    /**
+     * Subtract another vector from this vector.
+     * @param {Vector} vector - The vector to subtract.
+     * @returns {Vector} The resulting vector.
+     */
+    subtract(vector) {
+        return new Vector(this.x - vector.x, this.y - vector.y);
+    }
+
+    /**
+     * Scale this vector by a scalar.
+     * @param {number} scalar - The scalar to multiply by.
+     * @returns {Vector} The scaled vector.
+     */
+    scale(scalar) {
+        return new Vector(this.x * scalar, this.y * scalar);
+    }
+
+    /**
+     * Calculate the magnitude (length) of the vector.
+     * @returns {number} The magnitude of the vector.
+     */
+    magnitude() {
+        return Math.sqrt(this.x ** 2 + this.y ** 2);
+    }
+
+    /**
+     * Calculate the angle (argument) of the vector in degrees.
+     * @returns {number} The angle in degrees.
+     */
+    arg() {
+        return Math.atan2(this.y, this.x) * (180 / Math.PI);
+    }
+
+    /**
+     * Convert the vector to a string representation.
+     * @returns {string} The string representation of the vector.
+     */
+    toString() {
+        return `Vector(${this.x.toFixed(2)}, ${this.y.toFixed(2)})`;
+    }
+
+    /**
+     * Rotate this vector by the given angle (in degrees) around the origin (0,0).
+     * @param {number} angleInDegrees - The angle to rotate by (in degrees).
+     * @returns {Vector} A new Vector that is the result of the rotation.
+     */
+    rotate(angleInDegrees) {
+        const angleInRadians = (angleInDegrees * Math.PI) / 180;
+        const cosA = Math.cos(angleInRadians);
+        const sinA = Math.sin(angleInRadians);
+
+        // Standard 2D rotation around the origin:
+        // x' = x*cos(θ) - y*sin(θ)
+        // y' = x*sin(θ) + y*cos(θ)
+        const newX = this.x * cosA - this.y * sinA;
+        const newY = this.x * sinA + this.y * cosA;
+
+        return new Vector(newX, newY);
+    }
+}
+
+class Cut {
+    constructor(center, rotation, radius, arcDegrees = 90) {
+        this.center = center;        // Vector
+        this.rotation = rotation;    // number
+        this.radius = radius;        // number
+        this.arcDegrees = arcDegrees; // usable sweep of the cutter
+        this.svg_arc = null;
+        this.wasSaved = false;
+        this.locked = false;         // protected from editing and deleting
+    }
+
+    clone() {
+        const cut = new Cut(this.center, this.rotation, this.radius, this.arcDegrees);
+        cut.locked = this.locked;
+        return cut;
+    }
+}
+
+/**
+ * Check that a value read from JSON is a finite number.
+ * @param {*} value - The value.
+ * @param {string} name - The name used in the error message.
+ * @returns {number} The value.
+ * @throws {Error} If the value is not a finite number.
+ */
+function checkNumber(value, name) {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new Error(`invalid ${name}`);
+    }
+    return value;
+}
+
+/**
+ * Check that a value read from JSON is a positive number.
+ * @param {*} value - The value.
+ * @param {string} name - The name used in the error message.
+ * @returns {number} The value.
+ * @throws {Error} If the value is not a positive number.
+ */
+function checkPositive(value, name) {
+    if (checkNumber(value, name) <= 0) {
+        throw new Error(`${name} must be positive`);
+    }
+    return value;
+}
+
+/**
+ * User-editable list of named profiles (e.g. cutters), persisted in localStorage
+ * and importable/exportable as JSON. Subclasses provide the defaults and the validation.
+ */
+class ProfileLibrary {
+    /**
+     * @param {string} storageKey - The localStorage key.
+     * @param {object[]} defaults - The profiles used when nothing is stored, with ids.
+     * @param {function} parse - Validates and normalizes profile data without id, throws an Error if invalid.
+     * @param {string} listKey - The key of the list in exported JSON, e.g. "cutters".
+     */
+    constructor(storageKey, defaults, parse, listKey) {
+        this.storageKey = storageKey;
+        this.defaults = defaults;
+        this.parse = parse;
+        this.listKey = listKey;
+        this.items = this.load();
+        this.changeListeners = [];
+    }
+
+    addChangeListener(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    load() {
+        try {
+            const text = localStorage.getItem(this.storageKey);
+            if (text) {
+                const items = JSON.parse(text).map(data => ({ id: String(data.id), ...this.parse(data) }));
+                if (items.length > 0) {
+                    return items;
+                }
+            }
+        } catch (e) {
+            console.warn("Ignoring stored profiles:", this.storageKey, e);
+        }
+        return this.defaults.map(item => ({ ...item }));
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (e) {
+            console.warn("Unable to store profiles:", this.storageKey, e);
+        }
+        this.changeListeners.forEach(listener => listener(this));
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    newId() {
+        return `${this.listKey}-${Date.now().toString(36)}-${this.items.length}`;
+    }
+
+    /**
+     * @param {object} data - The profile.
+     * @returns {object} The added profile.
+     */
+    add(data) {
+        const item = { id: this.newId(), ...this.parse(data) };
+        this.items.push(item);
+        this.save();
+        return item;
+    }
+
+    update(id, data) {
+        const item = this.get(id);
+        if (item) {
+            Object.assign(item, this.parse(data));
+            this.save();
+        }
+    }
+
+    // The last profile cannot be removed
+    remove(id) {
+        if (this.items.length > 1) {
+            this.items = this.items.filter(item => item.id !== id);
+            this.save();
+        }
+    }
+
+    /**
+     * Find a profile with the same values apart from the name, or add it.
+     * @param {object} data - The profile, as returned by parse.
+     * @returns {object} The profile from the library.
+     */
+    findOrAdd(data) {
+        const values = ({ id, name, ...rest }) => JSON.stringify(rest);
+        const same = this.items.find(item => values(item) === values(data));
+        return same || this.add(data);
+    }
+
+    /**
+     * Add the profiles of a JSON file: an array or an object with a list under listKey.
+     * @param {string} text - The file content.
+     * @returns {number} The number of imported profiles.
+     * @throws {Error} If the file is not readable, nothing is imported then.
+     */
+    importJson(text) {
+        const data = JSON.parse(text);
+        const list = Array.isArray(data) ? data : data && data[this.listKey];
+        if (!Array.isArray(list)) {
+            throw new Error(`expected a list of ${this.listKey}`);
+        }
+        const parsed = list.map(item => this.parse(item));
+        parsed.forEach(item => this.items.push({ id: this.newId(), ...item }));
+        this.save();
+        return parsed.length;
+    }
+
+    exportJson() {
+        return JSON.stringify({ [this.listKey]: this.items.map(({ id, ...item }) => item) }, null, 2);
+    }
+}
+
+const CUTTER_STORAGE_KEY = "bowlsaver-cutters";
+const DEFAULT_CUTTERS = [
+    { id: "small", name: "Small", radius: 90, kerf: 10, arcDegrees: 90, bladeThickness: null },
+    { id: "large", name: "Large", radius: 127, kerf: 10, arcDegrees: 90, bladeThickness: null },
+];
+
+/**
+ * The cutters: id, name, radius, kerf, usable arc sweep (arcDegrees) and an optional blade thickness.
+ */
+class CutterLibrary extends ProfileLibrary {
+    constructor(storageKey = CUTTER_STORAGE_KEY) {
+        super(storageKey, DEFAULT_CUTTERS, CutterLibrary.parseCutter, "cutters");
+    }
+
+    get cutters() {
+        return this.items;
+    }
+
+    /**
+     * Validate and normalize cutter data, e.g. from an imported file.
+     * @param {object} data - The cutter.
+     * @returns {object} The cutter without id.
+     * @throws {Error} If a value is missing or out of range.
+     */
+    static parseCutter(data) {
+        if (!data || typeof data.name !== "string" || data.name.trim() === "") {
+            throw new Error("cutter name missing");
+        }
+        const arcDegrees = checkPositive(data.arcDegrees, "arcDegrees");
+        if (arcDegrees > 180) {
+            throw new Error("arcDegrees must be at most 180");
+        }
+        const bladeThickness = data.bladeThickness === null || data.bladeThickness === undefined
+            ? null : checkPositive(data.bladeThickness, "bladeThickness");
+        return {
+            name: data.name.trim(),
+            radius: checkPositive(data.radius, "radius"),
+            kerf: checkPositive(data.kerf, "kerf"),
+            arcDegrees,
+            bladeThickness,
+        };
+    }
+}
+
+const MACHINE_STORAGE_KEY = "bowlsaver-machines";
+const DEFAULT_MACHINES = [
+    {
+        id: "bowlsaver",
+        name: "Bowlsaver",
+        plateOutline: "M -10 -10 L -11 140 L 0 140 C 95 139 153 128 156 -10",
+        pivot: { x: 0, y: 0 },
+        handlePosition: { x: 140, y: 0 },
+        tailstockFixArcRadius: 175,
+        tailstockFixArcLength: 115,
+        tailstockOffset: 180,
+        swingOverBed: 400,
+        centreHeight: 200,
+    },
+];
+
+/**
+ * The machine profiles of the coring rig and lathe: the plate outline (an SVG path around
+ * the pivot), the pivot within that outline, the rotation handle position, the tailstock fix arc
+ * radius and length, the tailstock offset from the pivot and the lathe swing over bed and centre height.
+ */
+class MachineLibrary extends ProfileLibrary {
+    constructor(storageKey = MACHINE_STORAGE_KEY) {
+        super(storageKey, DEFAULT_MACHINES, MachineLibrary.parseMachine, "machines");
+    }
+
+    get machines() {
+        return this.items;
+    }
+
+    /**
+     * Validate and normalize machine profile data, e.g. from an imported file.
+     * @param {object} data - The machine profile.
+     * @returns {object} The profile without id.
+     * @throws {Error} If a value is missing or out of range.
+     */
+    static parseMachine(data) {
+        if (!data || typeof data.name !== "string" || data.name.trim() === "") {
+            throw new Error("machine name missing");
+        }
+        if (typeof data.plateOutline !== "string" || !/^[MLHVCSQTAZmlhvcsqtaz0-9eE.,+\-\s]+$/.test(data.plateOutline)) {
+            throw new Error("invalid plateOutline, expected SVG path data");
+        }
+        const point = (value, name) => {
+            if (!value) {
+                throw new Error(`missing ${name}`);
+            }
+            return { x: checkNumber(value.x, `${name}.x`), y: checkNumber(value.y, `${name}.y`) };
+        };
+        return {
+            name: data.name.trim(),
+            plateOutline: data.plateOutline.trim(),
+            pivot: data.pivot === undefined ? { x: 0, y: 0 } : point(data.pivot, "pivot"),
+            handlePosition: point(data.handlePosition, "handlePosition"),
+            tailstockFixArcRadius: checkPositive(data.tailstockFixArcRadius, "tailstockFixArcRadius"),
+            tailstockFixArcLength: checkPositive(data.tailstockFixArcLength, "tailstockFixArcLength"),
+            tailstockOffset: checkNumber(data.tailstockOffset, "tailstockOffset"),
+            swingOverBed: checkPositive(data.swingOverBed, "swingOverBed"),
+            centreHeight: checkPositive(data.centreHeight, "centreHeight"),
+        };
+    }
+
+    /**
+     * The sweep of the tailstock fix arc.
+     * @param {object} machine - The machine profile.
+     * @returns {number} The angle in degrees.
+     */
+    static tailstockFixArcDegrees(machine) {
+        return MathUtils.angleFromArcLength(machine.tailstockFixArcRadius, machine.tailstockFixArcLength);
+    }
+}
+
+const PROFILE_SPLINE_STEPS = 8; // polyline points per spline segment of a blank outline
+const PROFILE_PRESET_POINTS = 8; // editable points on the curved part of a preset outline
+
+/**
+ * Outlines of blanks that are not plain cylinders, in the half of the cross-section above the centerline.
+ * A profile is { points, smooth, bark }: the points run from the base on the axis around the outside
+ * to the face on the axis and are joined by straight lines or, if smooth, by a spline through them.
+ * The outline is closed along the centerline. Bark of the given thickness covers the parts of the
+ * outline that face the tailstock; it is no wood for the bowls.
+ */
+class BlankProfile {
+    /**
+     * The plain cylinder as a profile, e.g. to start editing from.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @returns {object} The profile.
+     */
+    static cylinder(workpieceDim) {
+        const radius = workpieceDim.y / 2;
+        const points = [{ x: 0, y: 0 }, { x: 0, y: radius }, { x: workpieceDim.x, y: radius }, { x: workpieceDim.x, y: 0 }];
+        return { points, smooth: false, bark: 0 };
+    }
+
+    /**
+     * A blank already rough turned on the outside, from a foot at the base out to the full diameter at the face.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {number} footDiameter - The diameter at the base.
+     * @returns {object} The profile.
+     */
+    static roughTurnedBowl(workpieceDim, footDiameter) {
+        const height = workpieceDim.x;
+        const radius = workpieceDim.y / 2;
+        const foot = Math.min(footDiameter / 2, radius);
+        // a quarter ellipse, flat at the foot and upright at the rim
+        const curve = [];
+        for (let i = 0; i <= PROFILE_PRESET_POINTS; i++) {
+            const angle = MathUtils.degreesToRadians(90 * i / PROFILE_PRESET_POINTS);
+            curve.push({ x: height * (1 - Math.cos(angle)), y: foot + (radius - foot) * Math.sin(angle) });
+        }
+        return { points: [{ x: 0, y: 0 }, ...curve, { x: height, y: 0 }], smooth: false, bark: 0 };
+    }
+
+    /**
+     * Half a log with the bark towards the face: the face follows the round of the log, the base is sawn.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {number} logRadius - The radius of the log, at least the blank radius.
+     * @param {number} bark - The bark thickness.
+     * @returns {object} The profile.
+     */
+    static naturalEdge(workpieceDim, logRadius, bark) {
+        const height = workpieceDim.x;
+        const radius = workpieceDim.y / 2;
+        const logR = Math.max(logRadius, radius);
+        // the log lies across the lathe axis with its top on the face
+        const axisX = height - logR;
+        const face = [];
+        for (let i = 0; i <= PROFILE_PRESET_POINTS; i++) {
+            const y = radius * (1 - i / PROFILE_PRESET_POINTS);
+            face.push({ x: Math.max(0, axisX + Math.sqrt(logR * logR - y * y)), y });
+        }
+        return { points: [{ x: 0, y: 0 }, { x: 0, y: radius }, ...face], smooth: false, bark };
+    }
+
+    /**
+     * Validate a profile read from JSON.
+     * @param {object|null|undefined} data - points ({x, y}, at least 3, not below the centerline), smooth and bark.
+     * @returns {object|null} The profile, null for a plain cylinder.
+     * @throws {Error} If the profile is invalid.
+     */
+    static parse(data) {
+        if (data === undefined || data === null) {
+            return null;
+        }
+        if (!Array.isArray(data.points) || data.points.length < 3) {
+            throw new Error("workpiece.profile needs at least 3 points");
+        }
+        const points = data.points.map((point, i) => {
+            const name = `workpiece.profile.points[${i}]`;
+            if (!point) {
+                throw new Error(`missing ${name}`);
+            }
+            const y = checkNumber(point.y, `${name}.y`);
+            if (y < 0) {
+                throw new Error(`${name} is below the centerline`);
+            }
+            return { x: checkNumber(point.x, `${name}.x`), y };
+        });
+        const bark = data.bark === undefined ? 0 : checkNumber(data.bark, "workpiece.profile.bark");
+        if (bark < 0) {
+            throw new Error("workpiece.profile.bark must not be negative");
+        }
+        return { points, smooth: data.smooth === true, bark };
+    }
+
+    /**
+     * Scale a profile with its blank.
+     * @param {object} profile - The profile.
+     * @param {Vector} from - The blank height (x) and diameter (y) the profile was drawn for.
+     * @param {Vector} to - The new blank height and diameter.
+     * @returns {object} A new profile.
+     */
+    static fit(profile, from, to) {
+        const scaleX = to.x / from.x;
+        const scaleY = to.y / from.y;
+        return { ...profile, points: profile.points.map(p => ({ x: p.x * scaleX, y: p.y * scaleY })) };
+    }
+
+    /**
+     * The outline as a polygon. A smooth outline is a Catmull-Rom spline through the points, kept
+     * within their bounds; its first and last segment, from and to the axis, stay straight.
+     * @param {object} profile - The profile.
+     * @returns {Vector[]} The polygon, closed along the centerline.
+     */
+    static outline(profile) {
+        const points = profile.points.map(p => new Vector(p.x, p.y));
+        const last = points.length - 1;
+        if (!profile.smooth || points.length < 4) {
+            return points;
+        }
+        const min = new Vector(Math.min(...points.map(p => p.x)), 0);
+        const max = new Vector(Math.max(...points.map(p => p.x)), Math.max(...points.map(p => p.y)));
+        const outline = [points[0]];
+        for (let i = 1; i < last - 1; i++) {
+            const [p0, p1, p2, p3] = points.slice(i - 1, i + 3);
+            for (let step = 0; step < PROFILE_SPLINE_STEPS; step++) {
+                const t = step / PROFILE_SPLINE_STEPS;
+                const p = p1.scale(2)
+                    .add(p2.subtract(p0).scale(t))
+                    .add(p0.scale(2).subtract(p1.scale(5)).add(p2.scale(4)).subtract(p3).scale(t * t))
+                    .add(p1.scale(3).subtract(p0).subtract(p2.scale(3)).add(p3).scale(t * t * t))
+                    .scale(0.5);
+                outline.push(new Vector(Math.min(Math.max(p.x, min.x), max.x), Math.min(Math.max(p.y, min.y), max.y)));
+            }
+        }
+        outline.push(points[last - 1], points[last]);
+        return outline;
+    }
+
+    /**
+     * The outline of the wood under the bark: the edges facing the tailstock moved inwards by the bark thickness.
+     * @param {object} profile - The profile.
+     * @returns {Vector[]} The polygon, like outline.
+     */
+    static woodOutline(profile) {
+        const outline = BlankProfile.outline(profile);
+        if (!(profile.bark > 0)) {
+            return outline;
+        }
+        // every edge as a point and a direction, moved against its outward normal where bark covers it
+        const edges = outline.map((a, i) => {
+            const direction = outline[(i + 1) % outline.length].subtract(a);
+            const length = direction.magnitude();
+            const normal = length > 0 ? new Vector(-direction.y / length, direction.x / length) : new Vector(0, 0);
+            return { point: normal.x > 1e-6 ? a.subtract(normal.scale(profile.bark)) : a, direction };
+        });
+        // the corners where the moved edges meet
+        return outline.map((corner, i) => {
+            const before = edges[(i + outline.length - 1) % outline.length];
+            const after = edges[i];
+            const cross = before.direction.x * after.direction.y - before.direction.y * after.direction.x;
+            if (Math.abs(cross) < 1e-9) {
+                return after.point;
+            }
+            const between = after.point.subtract(before.point);
+            const t = (between.x * after.direction.y - between.y * after.direction.x) / cross;
+            return before.point.add(before.direction.scale(t));
+        });
+    }
+
+    /**
+     * @param {Vector[]} outline - The polygon, see outline.
+     * @returns {string} SVG path data of the outline and its mirror image below the centerline.
+     */
+    static sectionPath(outline) {
+        // the points on the axis are shared by both halves
+        const points = [...outline, ...outline.slice(1, -1).reverse().map(p => new Vector(p.x, -p.y))];
+        return "M " + points.map(p => `${p.x} ${p.y}`).join(" L ") + " Z";
+    }
+
+    /**
+     * The outside of the blank, the surface around the bowls: the outline from the end of the base
+     * up to its widest point. Beyond that comes the face, where the cuts enter.
+     * @param {Vector[]} outline - The polygon, see outline.
+     * @returns {Vector[]} The polyline.
+     */
+    static outside(outline) {
+        const rimY = Math.max(...outline.map(p => p.y));
+        const widest = outline.length - 1 - [...outline].reverse().findIndex(p => p.y == rimY);
+        return outline.slice(1, widest + 1);
+    }
+
+    /**
+     * Distance from a point inside the outline along a direction to the outline.
+     * @param {Vector[]} outline - The polygon, see outline.
+     * @param {Vector} point - The start.
+     * @param {Vector} direction - The direction, need not be a unit vector.
+     * @returns {number} The distance, Infinity if the ray misses the outline.
+     */
+    static distanceAlong(outline, point, direction) {
+        const unit = direction.scale(1 / direction.magnitude());
+        let nearest = Infinity;
+        outline.forEach((a, i) => {
+            const edge = outline[(i + 1) % outline.length].subtract(a);
+            const cross = unit.x * edge.y - unit.y * edge.x;
+            if (Math.abs(cross) < 1e-12) {
+                return; // parallel
+            }
+            const between = a.subtract(point);
+            const t = (between.x * edge.y - between.y * edge.x) / cross;
+            const s = (between.x * unit.y - between.y * unit.x) / cross;
+            if (t > 1e-9 && s >= 0 && s <= 1) {
+                nearest = Math.min(nearest, t);
+            }
+        });
+        return nearest;
+    }
+}
+
+const PLAN_FORMAT = "bowlsaver-plan";
+const PLAN_VERSION = 5;
+const PLAN_STORAGE_KEY = "bowlsaver-plan";
+
+// How the blank is held at its base, by name in the warnings
+const MOUNT_TYPES = {
+    tenon: "tenon",
+    faceplate: "faceplate screws",
+};
+
+/**
+ * Versioned JSON format for coring plans: workpiece, cutter, machine profile, stored cuts and
+ * the current cutter assembly state. Also reads plan files and autosaves to localStorage.
+ * Version 1 stored only the cutter diameter, version 2 had no machine profile, version 3 no mount
+ * and version 4 no blank outline.
+ */
+class CoringPlan {
+    /**
+     * Validate and normalize parsed plan data.
+     * @param {object} data - The parsed JSON.
+     * @returns {object} The normalized plan.
+     * @throws {Error} If the data is not a readable plan.
+     */
+    static parse(data) {
+        if (!data || data.format !== PLAN_FORMAT) {
+            throw new Error("not a bowlsaver plan");
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > PLAN_VERSION) {
+            throw new Error(`unsupported plan version ${data.version}`);
+        }
+
+        const number = checkNumber;
+        const vector = (value, name) => {
+            if (!value) {
+                throw new Error(`missing ${name}`);
+            }
+            return { x: number(value.x, `${name}.x`), y: number(value.y, `${name}.y`) };
+        };
+
+        const workpiece = data.workpiece || {};
+        const cutter = data.cutter || {};
+        const assembly = data.assembly || {};
+        if (!Array.isArray(data.cuts)) {
+            throw new Error("missing cuts");
+        }
+
+        // version 1 only stored the cutter diameter
+        const planCutter = data.version == 1
+            ? CutterLibrary.parseCutter({
+                name: `Ø${number(cutter.diameter, "cutter.diameter")} mm`,
+                radius: cutter.diameter / 2,
+                kerf: DEFAULT_CUTTERS[0].kerf,
+                arcDegrees: DEFAULT_CUTTERS[0].arcDegrees,
+            })
+            : CutterLibrary.parseCutter(cutter);
+
+        return {
+            format: PLAN_FORMAT,
+            version: PLAN_VERSION,
+            workpiece: {
+                diameter: checkPositive(workpiece.diameter, "workpiece.diameter"),
+                height: checkPositive(workpiece.height, "workpiece.height"),
+                mount: CoringPlan.parseMount(workpiece.mount),
+                profile: BlankProfile.parse(workpiece.profile),
+            },
+            cutter: planCutter,
+            machine: data.machine === undefined || data.machine === null ? null : MachineLibrary.parseMachine(data.machine),
+            assembly: {
+                center: vector(assembly.center, "assembly.center"),
+                rotation: number(assembly.rotation, "assembly.rotation"),
+            },
+            cuts: data.cuts.map((cut, i) => ({
+                center: vector(cut.center, `cuts[${i}].center`),
+                rotation: number(cut.rotation, `cuts[${i}].rotation`),
+                radius: number(cut.radius, `cuts[${i}].radius`),
+                arcDegrees: cut.arcDegrees === undefined
+                    ? planCutter.arcDegrees : number(cut.arcDegrees, `cuts[${i}].arcDegrees`),
+                locked: cut.locked === true,
+            })),
+        };
+    }
+
+    /**
+     * Validate the mount of the blank: a tenon or faceplate at the base, reaching its depth into
+     * the blank over its diameter. The cuts must keep out of this zone.
+     * @param {object|null|undefined} data - type (see MOUNT_TYPES), diameter and depth.
+     * @returns {object|null} The mount, null if the blank has none.
+     * @throws {Error} If the mount is invalid.
+     */
+    static parseMount(data) {
+        if (data === undefined || data === null) {
+            return null;
+        }
+        if (!MOUNT_TYPES.hasOwnProperty(data.type)) {
+            throw new Error(`unknown mount type ${data.type}`);
+        }
+        return {
+            type: data.type,
+            diameter: checkPositive(data.diameter, "workpiece.mount.diameter"),
+            depth: checkPositive(data.depth, "workpiece.mount.depth"),
+        };
+    }
+
+    /**
+     * Read a plan from a user-selected file.
+     * @param {File} file - The file to read.
+     * @returns {Promise<object>} The normalized plan.
+     */
+    static async readFile(file) {
+        const text = await file.text();
+        return CoringPlan.parse(JSON.parse(text));
+    }
+
+    /**
+     * Store the plan in localStorage.
+     * @param {object} plan - The plan to store.
+     */
+    static saveLocal(plan) {
+        try {
+            localStorage.setItem(PLAN_STORAGE_KEY, JSON.stringify(plan));
+        } catch (e) {
+            console.warn("Unable to autosave plan:", e);
+        }
+    }
+
+    /**
+     * Restore the autosaved plan from localStorage.
+     * @returns {object|null} The plan, or null if none is stored or it is unreadable.
+     */
+    static loadLocal() {
+        try {
+            const text = localStorage.getItem(PLAN_STORAGE_KEY);
+            return text ? CoringPlan.parse(JSON.parse(text)) : null;
+        } catch (e) {
+            console.warn("Ignoring autosaved plan:", e);
+            return null;
+        }
+    }
+}
+
+/**
+ * Geometry of a cut in drawing coordinates (x along the lathe axis, y = 0 on the centerline).
+ * The blade sweeps from angle 90 (below the plate center) to the tip at 90 + cut.arcDegrees,
+ * both turned by the plate rotation. The offset widens the radius, e.g. ±kerf / 2 for
+ * the two sides of the kerf.
+ */
+class CutGeometry {
+    /**
+     * Point on the (offset) cutter arc.
+     * @param {Cut} cut - The cut.
+     * @param {number} angle - The angle on the unrotated arc (in degrees).
+     * @param {number} [offset=0] - Added to the cut radius.
+     * @returns {Vector} The point.
+     */
+    static pointAt(cut, angle, offset = 0) {
+        return cut.center.add(Vector.fromPolar(cut.radius + offset, angle + cut.rotation));
+    }
+
+    /**
+     * The tip of the blade, where the core breaks off towards the centerline.
+     * @param {Cut} cut - The cut.
+     * @param {number} [offset=0] - Added to the cut radius.
+     * @returns {Vector} The tip.
+     */
+    static tip(cut, offset = 0) {
+        return CutGeometry.pointAt(cut, 90 + cut.arcDegrees, offset);
+    }
+
+    /**
+     * The start of the blade, at the plate.
+     * @param {Cut} cut - The cut.
+     * @param {number} [offset=0] - Added to the cut radius.
+     * @returns {Vector} The start.
+     */
+    static start(cut, offset = 0) {
+        return CutGeometry.pointAt(cut, 90, offset);
+    }
+
+    /**
+     * Sample the arc from the tip to the start.
+     * @param {Cut} cut - The cut.
+     * @param {number} [offset=0] - Added to the cut radius.
+     * @param {number} [step=1] - Angle between samples (in degrees).
+     * @returns {Vector[]} The points.
+     */
+    static arcPoints(cut, offset = 0, step = 1) {
+        const count = Math.max(1, Math.ceil(cut.arcDegrees / step));
+        const points = [];
+        for (let i = 0; i <= count; i++) {
+            points.push(CutGeometry.pointAt(cut, 90 + cut.arcDegrees * (1 - i / count), offset));
+        }
+        return points;
+    }
+
+    /**
+     * Where the arc enters the blank face.
+     * @param {Cut} cut - The cut.
+     * @param {number} offset - Added to the cut radius.
+     * @param {number} faceX - The x-coordinate of the blank face.
+     * @returns {Vector|null} The entry point, or null unless the arc crosses the face exactly once.
+     */
+    static entryPoint(cut, offset, faceX) {
+        const startAngle = 90 + cut.rotation;
+        const intersections = MathUtils.intersectionLineArcVertical(
+            cut.center,
+            cut.radius + offset,
+            startAngle,
+            startAngle + cut.arcDegrees,
+            faceX
+        );
+        return intersections.length == 1 ? intersections[0] : null;
+    }
+
+    /**
+     * Where the arc enters a blank with an irregular outline: the crossing of the outline nearest
+     * to the start of the arc, where the blade comes in.
+     * @param {Cut} cut - The cut.
+     * @param {number} offset - Added to the cut radius.
+     * @param {Vector[]} outline - The blank outline, see BlankProfile.outline.
+     * @returns {Vector|null} The entry point, or null if the arc misses the outline.
+     */
+    static outlineEntryPoint(cut, offset, outline) {
+        const startAngle = 90 + cut.rotation;
+        // not the closing edge along the centerline
+        const crossings = outline.slice(0, -1).flatMap((a, i) =>
+            MathUtils.intersectionSegmentCircle(a, outline[i + 1], cut.center, cut.radius + offset))
+            .map(point => ({ point, turn: ((point.subtract(cut.center).arg() - startAngle) % 360 + 360) % 360 }))
+            .filter(crossing => crossing.turn <= cut.arcDegrees)
+            .sort((a, b) => a.turn - b.turn);
+        return crossings.length > 0 ? crossings[0].point : null;
+    }
+
+    /**
+     * Whether the tailstock fix arc of the plate crosses the centerline, i.e. the screw can be fixed.
+     * @param {Vector} center - The plate center.
+     * @param {number} rotation - The plate rotation (in degrees).
+     * @param {object} machine - The machine profile, see MachineLibrary.
+     * @returns {boolean} True if the tailstock can be fixed.
+     */
+    static isTailstockReachable(center, rotation, machine) {
+        const arcDegrees = MachineLibrary.tailstockFixArcDegrees(machine);
+        const startAngle = -arcDegrees / 2 + rotation;
+        const endAngle = startAngle + arcDegrees;
+
+        const intersections = MathUtils.intersectionLineArcHorizontal(
+            center,
+            machine.tailstockFixArcRadius,
+            startAngle,
+            endAngle,
+            0, // y0
+        );
+        return intersections.length > 0;
+    }
+
+    /**
+     * Whether the arc of a cut passes to the other side of the centerline (y < 0) within the blank.
+     * Revolving the cut folds that part over the axis, so its cross-section is not the mirror image
+     * of the half with the plate.
+     * @param {Cut} cut - The cut.
+     * @param {number} faceX - The x-coordinate of the blank face.
+     * @returns {boolean} True if the arc crosses the centerline or lies beyond it.
+     */
+    static crossesCenterline(cut, faceX) {
+        return CutGeometry.arcPoints(cut, 0, 0.5).some(p => p.y < -1e-6 && p.x >= 0 && p.x <= faceX);
+    }
+
+    /**
+     * Whether the kerf of a cut reaches into the mount zone at the base of the blank.
+     * @param {Cut} cut - The cut.
+     * @param {number} kerf - The cutter kerf.
+     * @param {object|null} mount - The mount, see CoringPlan.parseMount.
+     * @returns {boolean} True if the cut would hit the tenon or the faceplate screws.
+     */
+    static entersMount(cut, kerf, mount) {
+        if (!mount) {
+            return false;
+        }
+        const radius = mount.diameter / 2;
+        const inZone = (p) => p.x >= 0 && p.x <= mount.depth && Math.abs(p.y) <= radius;
+        if ([-kerf / 2, 0, kerf / 2].some(offset => CutGeometry.arcPoints(cut, offset, 0.5).some(inZone))) {
+            return true;
+        }
+        // a zone corner poking into the kerf between the sampled points
+        const startAngle = 90 + cut.rotation;
+        const inKerf = (p) => {
+            const rel = p.subtract(cut.center);
+            return Math.abs(rel.magnitude() - cut.radius) <= kerf / 2
+                && MathUtils.isAngleBetween(rel.arg(), startAngle, startAngle + cut.arcDegrees);
+        };
+        return [new Vector(0, radius), new Vector(mount.depth, radius), new Vector(0, -radius), new Vector(mount.depth, -radius)]
+            .some(inKerf);
+    }
+
+    /**
+     * The material inside a cut, on the face side of the blade and its breakline towards the axis,
+     * clipped to the blank half above the centerline. Removing it frees every bowl within the cut.
+     * @param {Cut} cut - The cut.
+     * @param {number} offset - Added to the cut radius.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {number} [step=0.5] - Angle between the sampled arc points (in degrees).
+     * @returns {Vector[]} The polygon, empty if the cut misses the blank.
+     */
+    static enclosedRegion(cut, offset, workpieceDim, step = 0.5) {
+        const points = CutGeometry.arcPoints(cut, offset, step);
+        const tip = points[0];
+        const start = points[points.length - 1];
+        // close along a line below the centerline, the clipping cuts it off again
+        const below = Math.min(0, ...points.map(p => p.y)) - 1;
+        points.push(new Vector(start.x, below), new Vector(tip.x, below));
+        return MathUtils.clipPolygonToRect(points, new Vector(0, 0), new Vector(workpieceDim.x, workpieceDim.y / 2));
+    }
+
+    /**
+     * The point of the (offset) arc nearest to a point.
+     * @param {Vector} point - The point.
+     * @param {Cut} cut - The cut.
+     * @param {number} [offset=0] - Added to the cut radius.
+     * @returns {Vector} The nearest point.
+     */
+    static closestPointOnArc(point, cut, offset = 0) {
+        const angle = point.subtract(cut.center).arg();
+        const startAngle = 90 + cut.rotation;
+        if (MathUtils.isAngleBetween(angle, startAngle, startAngle + cut.arcDegrees)) {
+            return cut.center.add(Vector.fromPolar(cut.radius + offset, angle));
+        }
+        const tip = CutGeometry.tip(cut, offset);
+        const start = CutGeometry.start(cut, offset);
+        return point.subtract(tip).magnitude() < point.subtract(start).magnitude() ? tip : start;
+    }
+
+    /**
+     * Shortest distance from a point to the (offset) arc.
+     * @param {Vector} point - The point.
+     * @param {Cut} cut - The cut.
+     * @param {number} [offset=0] - Added to the cut radius.
+     * @returns {number} The distance.
+     */
+    static distanceToArc(point, cut, offset = 0) {
+        return point.subtract(CutGeometry.closestPointOnArc(point, cut, offset)).magnitude();
+    }
+}
+
+/**
+ * Regions bounded by line segments and circular arcs, e.g. the exact cross-section of a bowl
+ * between two kerfs. A region is a list of closed loops, each a list of segments where one ends
+ * at the start of the next: lines { from, to } and arcs { from, to, center, radius, startAngle, sweep }
+ * with the sweep in degrees, positive towards increasing angles. Loops inside other loops are holes.
+ */
+class MaterialRegion {
+    static line(from, to) {
+        return { from, to };
+    }
+
+    static arc(center, radius, startAngle, sweep, from = null, to = null) {
+        return {
+            from: from || center.add(Vector.fromPolar(radius, startAngle)),
+            to: to || center.add(Vector.fromPolar(radius, startAngle + sweep)),
+            center,
+            radius,
+            startAngle,
+            sweep,
+        };
+    }
+
+    /**
+     * @param {Vector} min - The corner with the smallest coordinates.
+     * @param {Vector} max - The opposite corner.
+     * @returns {object[]} The loop.
+     */
+    static rectangle(min, max) {
+        const corners = [min, new Vector(max.x, min.y), max, new Vector(min.x, max.y)];
+        return corners.map((corner, i) => MaterialRegion.line(corner, corners[(i + 1) % 4]));
+    }
+
+    /**
+     * The material inside a cut like CutGeometry.enclosedRegion, with the exact (offset) arc
+     * and not clipped to the blank.
+     * @param {Cut} cut - The cut.
+     * @param {number} offset - Added to the cut radius.
+     * @returns {object[]} The loop.
+     */
+    static enclosed(cut, offset) {
+        const radius = cut.radius + offset;
+        const startAngle = 90 + cut.rotation;
+        const arc = MaterialRegion.arc(cut.center, radius, startAngle + cut.arcDegrees, -cut.arcDegrees);
+        const lowest = MathUtils.isAngleBetween(-90, startAngle, startAngle + cut.arcDegrees)
+            ? cut.center.y - radius : Math.min(arc.from.y, arc.to.y);
+        // close along a line below the centerline like enclosedRegion
+        const below = Math.min(0, lowest) - 1;
+        const corners = [arc.to, new Vector(arc.to.x, below), new Vector(arc.from.x, below), arc.from];
+        return [arc, ...corners.slice(1).map((corner, i) => MaterialRegion.line(corners[i], corner))];
+    }
+
+    /**
+     * @param {Vector[]} points - A simple polygon.
+     * @returns {object[]} The loop.
+     */
+    static polygon(points) {
+        return points.map((point, i) => MaterialRegion.line(point, points[(i + 1) % points.length]));
+    }
+
+    /**
+     * @param {object[][]} loops - The region.
+     * @returns {{points: Vector[], hole: boolean}[]} The loops as polygons, loops inside an odd number of others are holes.
+     */
+    static polygons(loops) {
+        const polygons = loops.map(loop => MaterialRegion.flatten(loop));
+        return polygons.map((points, i) => ({
+            points,
+            hole: polygons.filter((other, j) => j != i && MathUtils.isPointInPolygon(points[0], other)).length % 2 == 1,
+        }));
+    }
+
+    /**
+     * Volume of a region revolved around the x-axis.
+     * @param {object[][]} loops - The region above the centerline.
+     * @returns {number} The volume in mm³.
+     */
+    static revolvedVolume(loops) {
+        return MaterialRegion.polygons(loops)
+            .reduce((sum, { points, hole }) => sum + (hole ? -1 : 1) * MathUtils.revolvedVolume(points), 0);
+    }
+
+    /**
+     * @param {object[][]} loops - The region.
+     * @param {object[]} loop - A simple closed loop.
+     * @returns {object[][]} The part of the region inside the loop.
+     */
+    static intersect(loops, loop) {
+        return MaterialRegion.combine(loops, loop, true);
+    }
+
+    /**
+     * @param {object[][]} loops - The region.
+     * @param {object[]} loop - A simple closed loop.
+     * @returns {object[][]} The part of the region outside the loop.
+     */
+    static subtract(loops, loop) {
+        return MaterialRegion.combine(loops, loop, false);
+    }
+
+    // Split both boundaries where they cross, keep the pieces that bound the result and join them again
+    static combine(loops, loop, keepInside) {
+        const segments = loops.flat();
+        const splits = segments.map(() => []);
+        const loopSplits = loop.map(() => []);
+        segments.forEach((a, i) => loop.forEach((b, j) => MaterialRegion.intersections(a, b).forEach(p => {
+            splits[i].push(p);
+            loopSplits[j].push(p);
+        })));
+
+        const regionPolygons = loops.map(l => MaterialRegion.flatten(l));
+        const loopPolygon = MaterialRegion.flatten(loop);
+        const insideRegion = (p) => regionPolygons.filter(polygon => MathUtils.isPointInPolygon(p, polygon)).length % 2 == 1;
+        const pieces = [
+            ...segments.flatMap((segment, i) => MaterialRegion.split(segment, splits[i]))
+                .filter(piece => MathUtils.isPointInPolygon(MaterialRegion.middle(piece), loopPolygon) == keepInside),
+            ...loop.flatMap((segment, j) => MaterialRegion.split(segment, loopSplits[j]))
+                .filter(piece => insideRegion(MaterialRegion.middle(piece))),
+        ];
+        return MaterialRegion.chain(pieces);
+    }
+
+    // The points where two segments cross
+    static intersections(a, b) {
+        if (a.center && b.center) {
+            const [startA, endA] = MaterialRegion.angleRange(a);
+            const [startB, endB] = MaterialRegion.angleRange(b);
+            return MathUtils.intersectionArcArc(a.center, a.radius, startA, endA, b.center, b.radius, startB, endB);
+        }
+        if (a.center || b.center) {
+            const [arc, line] = a.center ? [a, b] : [b, a];
+            const [start, end] = MaterialRegion.angleRange(arc);
+            return MathUtils.intersectionSegmentCircle(line.from, line.to, arc.center, arc.radius)
+                .filter(p => MathUtils.isAngleBetween(p.subtract(arc.center).arg(), start, end));
+        }
+        const da = a.to.subtract(a.from);
+        const db = b.to.subtract(b.from);
+        const denominator = da.x * db.y - da.y * db.x;
+        if (Math.abs(denominator) < 1e-12) {
+            return []; // parallel
+        }
+        const offset = b.from.subtract(a.from);
+        const t = (offset.x * db.y - offset.y * db.x) / denominator;
+        const u = (offset.x * da.y - offset.y * da.x) / denominator;
+        const eps = 1e-9;
+        return t >= -eps && t <= 1 + eps && u >= -eps && u <= 1 + eps ? [a.from.add(da.scale(t))] : [];
+    }
+
+    // Arc angles for MathUtils.isAngleBetween, from the smaller to the larger, with a little tolerance
+    static angleRange(arc) {
+        const eps = 1e-7;
+        return arc.sweep > 0
+            ? [arc.startAngle - eps, arc.startAngle + arc.sweep + eps]
+            : [arc.startAngle + arc.sweep - eps, arc.startAngle + eps];
+    }
+
+    // 0 at the start of a segment, 1 at its end
+    static parameter(segment, p) {
+        if (segment.center) {
+            const turn = MathUtils.normalizeAngle((p.subtract(segment.center).arg() - segment.startAngle) * Math.sign(segment.sweep));
+            // points just before the start come out near 360
+            return (turn > 359.999 ? turn - 360 : turn) / Math.abs(segment.sweep);
+        }
+        const d = segment.to.subtract(segment.from);
+        const offset = p.subtract(segment.from);
+        return (offset.x * d.x + offset.y * d.y) / (d.x * d.x + d.y * d.y);
+    }
+
+    // Cut a segment into pieces at the given points
+    static split(segment, points) {
+        const eps = 1e-9;
+        const cuts = points.map(p => ({ p, t: MaterialRegion.parameter(segment, p) }))
+            .filter(({ t }) => t > eps && t < 1 - eps)
+            .sort((a, b) => a.t - b.t);
+        const ends = [{ p: segment.from, t: 0 }, ...cuts, { p: segment.to, t: 1 }];
+        const pieces = [];
+        for (let i = 1; i < ends.length; i++) {
+            const from = ends[i - 1];
+            const to = ends[i];
+            if (to.t - from.t < eps) {
+                continue;
+            }
+            pieces.push(segment.center
+                ? MaterialRegion.arc(segment.center, segment.radius, segment.startAngle + segment.sweep * from.t,
+                    segment.sweep * (to.t - from.t), from.p, to.p)
+                : MaterialRegion.line(from.p, to.p));
+        }
+        return pieces;
+    }
+
+    static middle(segment) {
+        return segment.center
+            ? segment.center.add(Vector.fromPolar(segment.radius, segment.startAngle + segment.sweep / 2))
+            : segment.from.add(segment.to).scale(0.5);
+    }
+
+    static reverse(segment) {
+        return segment.center
+            ? MaterialRegion.arc(segment.center, segment.radius, segment.startAngle + segment.sweep, -segment.sweep, segment.to, segment.from)
+            : MaterialRegion.line(segment.to, segment.from);
+    }
+
+    // Join pieces into closed loops, turning pieces around where needed
+    static chain(pieces) {
+        const near = (a, b) => a.subtract(b).magnitude() < 1e-6;
+        const unused = [...pieces];
+        const loops = [];
+        while (unused.length > 0) {
+            const loop = [unused.shift()];
+            while (!near(loop[loop.length - 1].to, loop[0].from)) {
+                const end = loop[loop.length - 1].to;
+                const next = unused.findIndex(piece => near(piece.from, end) || near(piece.to, end));
+                if (next < 0) {
+                    break; // open, e.g. from rounding at a tangent point
+                }
+                const [piece] = unused.splice(next, 1);
+                loop.push(near(piece.from, end) ? piece : MaterialRegion.reverse(piece));
+            }
+            loops.push(loop);
+        }
+        return loops;
+    }
+
+    /**
+     * Approximate a loop by a polygon.
+     * @param {object[]} loop - The loop.
+     * @param {number} [step=0.5] - Angle between the sampled arc points (in degrees).
+     * @returns {Vector[]} The polygon.
+     */
+    static flatten(loop, step = 0.5) {
+        return loop.flatMap(segment => {
+            if (!segment.center) {
+                return [segment.from];
+            }
+            const count = Math.max(1, Math.ceil(Math.abs(segment.sweep) / step));
+            const points = [segment.from];
+            for (let i = 1; i < count; i++) {
+                points.push(segment.center.add(Vector.fromPolar(segment.radius, segment.startAngle + segment.sweep * i / count)));
+            }
+            return points;
+        });
+    }
+
+    /**
+     * @param {object[][]} loops - The region.
+     * @returns {string} SVG path data, to fill with the even-odd rule.
+     */
+    static toPath(loops) {
+        return loops.map(loop => `M ${loop[0].from.x} ${loop[0].from.y} ` + loop.map(segment => segment.center
+            ? `A ${segment.radius} ${segment.radius} 0 ${Math.abs(segment.sweep) > 180 ? 1 : 0} ${segment.sweep > 0 ? 1 : 0} ${segment.to.x} ${segment.to.y}`
+            : `L ${segment.to.x} ${segment.to.y}`).join(" ") + " Z").join(" ");
+    }
+}
+
+/**
+ * Approximate green (freshly cut) densities in kg/m³ for the bowl weight estimate.
+ */
+const WOOD_SPECIES = [
+    { name: "Ash", density: 770 },
+    { name: "Beech", density: 865 },
+    { name: "Birch", density: 910 },
+    { name: "Cherry", density: 720 },
+    { name: "Elm", density: 865 },
+    { name: "Maple", density: 995 },
+    { name: "Oak", density: 1010 },
+    { name: "Walnut", density: 930 },
+];
+
+/**
+ * Dimensions and volumes of the nested bowls produced by the stored cuts.
+ * Bowl 1 is the innermost core, the last bowl is what remains of the blank outside the deepest cut.
+ * Volumes are in mm³ and use the same arcs as CutArc; the bowls between two cuts assume the cuts are nested.
+ */
+class BowlReport {
+    /**
+     * Sort cuts from the innermost (shallowest tip) to the outermost.
+     * @param {Cut[]} cuts - The cuts.
+     * @returns {Cut[]} A sorted copy.
+     */
+    static sortCuts(cuts) {
+        return [...cuts].sort((a, b) => CutGeometry.tip(b).x - CutGeometry.tip(a).x);
+    }
+
+    /**
+     * The wall between a cut and a neighbouring cut along the cut, measured from the kerf edge
+     * of the cut that faces the neighbour to the facing kerf edge of the neighbour.
+     * Where the kerfs overlap or cross there is no wall, the thickness is 0.
+     * @param {Cut} cut - The cut to measure along.
+     * @param {Cut} neighbour - The other cut, inside or around it.
+     * @param {number} kerf - The cutter kerf.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {number} [step=1] - Angle between the sampled points (in degrees).
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {{point: Vector, nearest: Vector, thickness: number}[]} The samples inside the blank,
+     *  from the tip to the start, with the nearest point on the neighbour's kerf edge.
+     */
+    static wallSamples(cut, neighbour, kerf, workpieceDim, step = 1, outline = null) {
+        const isInner = BowlReport.sortCuts([cut, neighbour])[0] === cut;
+        const side = isInner ? 1 : -1;
+        const inBlank = outline
+            ? (p) => MathUtils.isPointInPolygon(p, outline)
+            : (p) => p.x > 0 && p.x < workpieceDim.x && p.y > 0 && p.y < workpieceDim.y / 2;
+        // the wall is inside the kerf of the outer cut and outside the kerf of the inner cut
+        const region = isInner
+            ? CutGeometry.enclosedRegion(neighbour, -kerf / 2, workpieceDim)
+            : CutGeometry.enclosedRegion(neighbour, kerf / 2, workpieceDim);
+        return CutGeometry.arcPoints(cut, side * kerf / 2, step).filter(inBlank).map(point => {
+            const nearest = CutGeometry.closestPointOnArc(point, neighbour, -side * kerf / 2);
+            const inWall = MathUtils.isPointInPolygon(point, region) == isInner;
+            return { point, nearest, thickness: inWall ? point.subtract(nearest).magnitude() : 0 };
+        });
+    }
+
+    /**
+     * Thinnest point of the wall between two cuts, inside the blank: the thinnest of the
+     * wallSamples along either cut.
+     * @param {Cut} cut - One cut.
+     * @param {Cut} neighbour - The other cut, inside or around it.
+     * @param {number} kerf - The cutter kerf.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {number} [step=1] - Angle between the sampled points (in degrees).
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {{point: Vector, nearest: Vector, thickness: number}|null} The sample, or null if neither cut reaches into the blank.
+     */
+    static thinnestWall(cut, neighbour, kerf, workpieceDim, step = 1, outline = null) {
+        const samples = [
+            ...BowlReport.wallSamples(cut, neighbour, kerf, workpieceDim, step, outline),
+            ...BowlReport.wallSamples(neighbour, cut, kerf, workpieceDim, step, outline),
+        ];
+        return samples.length == 0 ? null : samples.reduce((a, b) => b.thickness < a.thickness ? b : a);
+    }
+
+    /**
+     * @param {Cut} inner - The inner cut.
+     * @param {Cut} outer - The outer cut.
+     * @param {number} kerf - The cutter kerf.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {number} [step=1] - Angle between the sampled points (in degrees).
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {number|null} The thickness of the wall, see thinnestWall, or null if neither cut reaches into the blank.
+     */
+    static wallThickness(inner, outer, kerf, workpieceDim, step = 1, outline = null) {
+        const thinnest = BowlReport.thinnestWall(outer, inner, kerf, workpieceDim, step, outline);
+        return thinnest ? thinnest.thickness : null;
+    }
+
+    /**
+     * The wall between the outermost cut and the outside of the blank (see BlankProfile.outside)
+     * along the cut, measured from the outer kerf edge to the nearest point of the outside.
+     * @param {Cut} cut - The outermost cut.
+     * @param {number} kerf - The cutter kerf.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {number} [step=0.5] - Angle between the sampled points (in degrees).
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {{point: Vector, nearest: Vector, thickness: number}[]} The samples inside the blank,
+     *  from the tip to the start, with the nearest point on the outside.
+     */
+    static outerWallSamples(cut, kerf, workpieceDim, step = 0.5, outline = null) {
+        const blank = outline || BlankProfile.outline(BlankProfile.cylinder(workpieceDim));
+        const outside = BlankProfile.outside(blank);
+        return CutGeometry.arcPoints(cut, kerf / 2, step)
+            .filter(p => MathUtils.isPointInPolygon(p, blank))
+            .map(point => {
+                const nearest = outside.slice(1)
+                    .map((b, i) => MathUtils.closestPointOnSegment(point, outside[i], b))
+                    .reduce((a, b) => point.subtract(b).magnitude() < point.subtract(a).magnitude() ? b : a, outside[0]);
+                return { point, nearest, thickness: point.subtract(nearest).magnitude() };
+            });
+    }
+
+    /**
+     * @param {Cut} cut - The outermost cut.
+     * @param {number} kerf - The cutter kerf.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {number} [step=0.5] - Angle between the sampled points (in degrees).
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {number|null} The thinnest of the outerWallSamples, or null if the cut does not reach into the blank.
+     */
+    static outerWallThickness(cut, kerf, workpieceDim, step = 0.5, outline = null) {
+        const samples = BowlReport.outerWallSamples(cut, kerf, workpieceDim, step, outline);
+        return samples.length == 0 ? null : Math.min(...samples.map(sample => sample.thickness));
+    }
+
+    /**
+     * Volume of the material inside a cut, see CutGeometry.enclosedRegion.
+     * @param {Cut} cut - The cut.
+     * @param {number} offset - Added to the cut radius.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {number} The volume in mm³.
+     */
+    static enclosedVolume(cut, offset, workpieceDim, outline = null) {
+        return outline
+            ? MaterialRegion.revolvedVolume(MaterialRegion.intersect([MaterialRegion.polygon(outline)], MaterialRegion.enclosed(cut, offset)))
+            : MathUtils.revolvedVolume(CutGeometry.enclosedRegion(cut, offset, workpieceDim));
+    }
+
+    /**
+     * @param {Cut[]} cuts - The stored cuts, in any order.
+     * @param {number} kerf - The cutter kerf.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     *  The rims then lie on the outline and the depths are measured from them.
+     * @returns {object[]} One entry per bowl, innermost first: rimDiameter, depth, wallThickness,
+     *  baseThickness and footDiameter (null where not applicable), volume and labelPosition.
+     *  The foot is the outside of the bowl at the height of its inside bottom, the widest tenon
+     *  or recess that re-chucking it can use.
+     */
+    static compute(cuts, kerf, workpieceDim, outline = null) {
+        if (cuts.length == 0) {
+            return [];
+        }
+        const sorted = BowlReport.sortCuts(cuts);
+        const faceX = workpieceDim.x;
+        const rimY = workpieceDim.y / 2;
+        const inBlank = outline
+            ? (p) => MathUtils.isPointInPolygon(p, outline)
+            : (p) => p.x >= 0 && p.x <= faceX && p.y >= 0 && p.y <= rimY;
+        const entryPoint = (cut) => outline
+            ? CutGeometry.outlineEntryPoint(cut, -kerf / 2, outline)
+            : CutGeometry.entryPoint(cut, -kerf / 2, faceX);
+        const middle = (points) => points[Math.floor(points.length / 2)];
+        const clampToBlank = (p) => new Vector(
+            Math.min(Math.max(p.x, 0), faceX),
+            Math.min(Math.max(p.y, 0), rimY));
+
+        // the volume inside the inner and the outer edge of every kerf
+        const insideVolumes = sorted.map(cut => BowlReport.enclosedVolume(cut, -kerf / 2, workpieceDim, outline));
+        const outsideVolumes = sorted.map(cut => BowlReport.enclosedVolume(cut, kerf / 2, workpieceDim, outline));
+        const blankVolume = outline ? MathUtils.revolvedVolume(outline) : Math.PI * rimY * rimY * faceX;
+
+        const bowls = [];
+        for (let i = 0; i <= sorted.length; i++) {
+            const inner = sorted[i - 1];
+            const outer = sorted[i];
+            const volume = Math.max(0, (outer ? insideVolumes[i] : blankVolume) - (inner ? outsideVolumes[i - 1] : 0));
+
+            let rimDiameter = 2 * rimY;
+            let depth = faceX;
+            let wallThickness = null;
+            let baseThickness = null;
+            let footDiameter = null;
+            let labelPosition = new Vector(faceX / 2, rimY / 2);
+
+            if (outer) {
+                const entry = entryPoint(outer);
+                rimDiameter = entry ? 2 * entry.y : null;
+                depth = (outline && entry ? entry.x : faceX) - CutGeometry.tip(outer, -kerf / 2).x;
+            }
+
+            if (inner && outer) {
+                wallThickness = BowlReport.wallThickness(inner, outer, kerf, workpieceDim, 1, outline);
+                const wallPoints = CutGeometry.arcPoints(outer, -kerf / 2, 0.5).filter(inBlank);
+                if (wallPoints.length > 0) {
+                    // halfway through the wall, towards the inner cut
+                    const p = middle(wallPoints);
+                    const toCenter = outer.center.subtract(p);
+                    const gap = CutGeometry.distanceToArc(p, inner, kerf / 2);
+                    labelPosition = p.add(toCenter.scale(gap / 2 / toCenter.magnitude()));
+                }
+                baseThickness = CutGeometry.tip(inner, kerf / 2).x - CutGeometry.tip(outer, -kerf / 2).x;
+                const foot = CutGeometry.entryPoint(outer, -kerf / 2, CutGeometry.tip(inner, kerf / 2).x);
+                footDiameter = foot && foot.y > 0 ? 2 * Math.min(foot.y, rimY) : null;
+            } else if (inner) {
+                // the rest of the blank, bounded by its rim and base
+                const samples = BowlReport.outerWallSamples(inner, kerf, workpieceDim, 0.5, outline);
+                if (samples.length > 0) {
+                    wallThickness = Math.min(...samples.map(sample => sample.thickness));
+                    // halfway out to the outside
+                    const sample = middle(samples);
+                    labelPosition = sample.point.add(sample.nearest).scale(0.5);
+                }
+                baseThickness = CutGeometry.tip(inner, kerf / 2).x;
+                const footY = outline
+                    ? BlankProfile.distanceAlong(outline, new Vector(CutGeometry.tip(inner, kerf / 2).x, 0), new Vector(0, 1))
+                    : rimY;
+                footDiameter = Number.isFinite(footY) ? 2 * footY : null;
+            } else {
+                // the solid core inside the first cut
+                const tip = CutGeometry.tip(outer, -kerf / 2);
+                const entry = entryPoint(outer) || new Vector(faceX, tip.y);
+                labelPosition = tip.add(entry).add(new Vector(faceX, 0)).scale(1 / 3);
+            }
+
+            bowls.push({
+                index: i + 1,
+                rimDiameter,
+                depth,
+                wallThickness,
+                baseThickness,
+                footDiameter,
+                volume,
+                labelPosition: clampToBlank(labelPosition),
+            });
+        }
+        return bowls;
+    }
+
+    /**
+     * The material of every bowl with the exact kerf arcs, innermost first like compute: inside the
+     * kerf of its cut and outside the kerfs of all cuts within it, clipped to the blank half above
+     * the centerline. This also holds for cuts that are not nested.
+     * @param {Cut[]} cuts - The stored cuts, in any order.
+     * @param {number} kerf - The cutter kerf.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {object[][][]} One region per bowl, see MaterialRegion.
+     */
+    static regions(cuts, kerf, workpieceDim, outline = null) {
+        if (cuts.length == 0) {
+            return [];
+        }
+        const sorted = BowlReport.sortCuts(cuts);
+        const blank = [outline
+            ? MaterialRegion.polygon(outline)
+            : MaterialRegion.rectangle(new Vector(0, 0), new Vector(workpieceDim.x, workpieceDim.y / 2))];
+        return [...sorted, null].map((outer, i) => sorted.slice(0, i).reduce(
+            (region, inner) => MaterialRegion.subtract(region, MaterialRegion.enclosed(inner, kerf / 2)),
+            outer ? MaterialRegion.intersect(blank, MaterialRegion.enclosed(outer, -kerf / 2)) : blank));
+    }
+
+    /**
+     * Volume of the wood turned into chips by the kerfs.
+     * @param {Cut[]} cuts - The stored cuts.
+     * @param {number} kerf - The cutter kerf.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {number} The volume in mm³.
+     */
+    static kerfVolume(cuts, kerf, workpieceDim, outline = null) {
+        return cuts.reduce((sum, cut) => sum
+            + BowlReport.enclosedVolume(cut, kerf / 2, workpieceDim, outline)
+            - BowlReport.enclosedVolume(cut, -kerf / 2, workpieceDim, outline), 0);
+    }
+
+    /**
+     * Green weight of a volume of wood.
+     * @param {number} volume - The volume in mm³.
+     * @param {number} density - The density in kg/m³.
+     * @returns {number} The weight in kg.
+     */
+    static weight(volume, density) {
+        return volume * 1e-9 * density;
+    }
+}
+
+/**
+ * Proposes a nest of cuts for a blank: the outermost cut first, keeping the minimum base and
+ * wall to the blank, then every next cut as large as the minimum wall and base to the previous
+ * cut allow, until no further bowl fits. This maximizes the number of bowls and, for that
+ * number, keeps each bowl as large as possible.
+ * Every cut keeps the tailstock reachable, enters through the blank face and has the plate
+ * center outside the blank.
+ */
+class CoringPlanner {
+    /**
+     * @param {object} options
+     * @param {Vector} options.workpieceDim - The blank height (x) and diameter (y).
+     * @param {object} options.cutter - The cutter, see CutterLibrary.
+     * @param {object} options.machine - The machine profile, see MachineLibrary.
+     * @param {number} options.minWall - The minimum wall thickness.
+     * @param {number} options.minBase - The minimum base thickness.
+     * @param {object|null} [options.mount=null] - The mount zone to keep out of, see CoringPlan.parseMount.
+     * @param {number} [options.maxCuts=10] - Stop after this many cuts.
+     * @param {Vector[]|null} [options.outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {Cut[]} The cuts in cutting order: innermost first, as the bowls have to come off
+     *  the blank from the inside out.
+     */
+    static plan({ workpieceDim, cutter, machine, minWall, minBase, mount = null, maxCuts = 10, outline = null }) {
+        const cuts = [];
+        let previous = null;
+        while (cuts.length < maxCuts) {
+            const next = CoringPlanner.findCut(workpieceDim, cutter, machine, minWall, minBase, mount, previous, outline);
+            if (!next) {
+                break;
+            }
+            cuts.unshift(next);
+            previous = next;
+        }
+        return cuts;
+    }
+
+    // Grid search for the largest feasible cut, then refine around the best candidate
+    static findCut(workpieceDim, cutter, machine, minWall, minBase, mount, previous, outline) {
+        const faceX = workpieceDim.x;
+        const rimY = workpieceDim.y / 2;
+        const radius = cutter.radius;
+        const kerf = cutter.kerf;
+
+        let best = null;
+        let bestScore = -Infinity;
+        const consider = (x, y, rotation) => {
+            const cut = new Cut(new Vector(x, y), rotation, radius, cutter.arcDegrees);
+            const score = CoringPlanner.score(cut, workpieceDim, kerf, machine, minWall, minBase, mount, previous, outline);
+            if (score > bestScore) {
+                best = cut;
+                bestScore = score;
+            }
+        };
+
+        for (let x = faceX; x <= faceX + radius; x += 5) {
+            for (let y = -radius / 2; y <= rimY; y += 5) {
+                for (let rotation = -45; rotation <= 45; rotation += 5) {
+                    consider(x, y, rotation);
+                }
+            }
+        }
+        if (!best) {
+            return null;
+        }
+
+        const coarse = best;
+        for (let dx = -4; dx <= 4; dx++) {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dr = -4; dr <= 4; dr++) {
+                    consider(coarse.center.x + dx, coarse.center.y + dy, coarse.rotation + dr);
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Size of the material inside the cut, or -Infinity if the cut is not feasible.
+     */
+    static score(cut, workpieceDim, kerf, machine, minWall, minBase, mount, previous, outline = null) {
+        const faceX = workpieceDim.x;
+
+        if (cut.center.x < faceX || !CutGeometry.isTailstockReachable(cut.center, cut.rotation, machine)) {
+            return -Infinity;
+        }
+        if (CutGeometry.entersMount(cut, kerf, mount)) {
+            return -Infinity;
+        }
+
+        // through the face, or through the outline of an irregular blank
+        const entryPoint = (c, offset) => outline
+            ? CutGeometry.outlineEntryPoint(c, offset, outline)
+            : CutGeometry.entryPoint(c, offset, faceX);
+        const outerEntry = entryPoint(cut, kerf / 2);
+        const innerEntry = entryPoint(cut, -kerf / 2);
+        if (!outerEntry || !innerEntry || outerEntry.y <= 0 || innerEntry.y <= 0) {
+            return -Infinity;
+        }
+
+        const tip = CutGeometry.tip(cut, kerf / 2);
+        // the cored piece must be worth turning: deep enough for a base and wide enough for two walls
+        const depth = (outline ? innerEntry.x : faceX) - CutGeometry.tip(cut, -kerf / 2).x;
+        if (depth < minBase || 2 * innerEntry.y < 2 * minWall) {
+            return -Infinity;
+        }
+
+        const wallPoints = CutGeometry.arcPoints(cut, kerf / 2, 2).filter(outline
+            ? p => MathUtils.isPointInPolygon(p, outline)
+            : p => p.x >= 0 && p.x <= faceX && p.y >= 0);
+
+        if (!previous) {
+            // the outermost cut leaves the rest of the blank as a bowl
+            const wall = BowlReport.outerWallThickness(cut, kerf, workpieceDim, 2, outline);
+            if (tip.x < minBase || wall === null || wall < minWall) {
+                return -Infinity;
+            }
+        } else {
+            const previousTip = CutGeometry.tip(previous, -kerf / 2);
+            const previousEntry = entryPoint(previous, -kerf / 2);
+            if (tip.x - previousTip.x < minBase || previousEntry.y - outerEntry.y < minWall) {
+                return -Infinity;
+            }
+            // inside the previous cut, or past its tip with the minimum base
+            const previousStart = 90 + previous.rotation;
+            const inside = wallPoints.every(p => {
+                const rel = p.subtract(previous.center);
+                if (MathUtils.isAngleBetween(rel.arg(), previousStart, previousStart + previous.arcDegrees)) {
+                    return rel.magnitude() < previous.radius - kerf / 2;
+                }
+                return p.x >= previousTip.x + minBase;
+            });
+            const wall = BowlReport.wallThickness(cut, previous, kerf, workpieceDim, 1, outline);
+            if (!inside || wall === null || wall < minWall) {
+                return -Infinity;
+            }
+        }
+
+        // volume of a cylinder with the rim diameter and depth of the cored bowl
+        return innerEntry.y * innerEntry.y * depth;
+    }
+}
+
+/**
+ * Feasibility checks of the stored cuts and the cut being edited.
+ */
+class PlanValidator {
+    /**
+     * @param {object} options
+     * @param {Cut[]} options.cuts - The stored cuts.
+     * @param {Cut|null} options.currentCut - The cut being edited, if it is not one of the stored cuts.
+     * @param {number} options.kerf - The cutter kerf.
+     * @param {Vector} options.workpieceDim - The blank height (x) and diameter (y).
+     * @param {object} options.machine - The machine profile, see MachineLibrary.
+     * @param {number} options.minWall - The minimum wall thickness between neighbouring cuts.
+     * @param {number} options.minBase - The minimum base thickness between neighbouring cuts.
+     * @param {object|null} [options.mount=null] - The mount of the blank, see CoringPlan.parseMount.
+     * @param {Vector[]|null} [options.outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {{cuts: Cut[], message: string}[]} The warnings and the cuts they concern.
+     */
+    static validate({ cuts, currentCut, kerf, workpieceDim, machine, minWall, minBase, mount = null, outline = null }) {
+        const faceX = workpieceDim.x;
+        const rimY = workpieceDim.y / 2;
+        const all = BowlReport.sortCuts(currentCut ? [...cuts, currentCut] : cuts);
+        const name = (cut) => cut === currentCut ? "Current cut" : `Cut ${all.indexOf(cut) + 1}`;
+        const warnings = [];
+        const warn = (concerned, message) => warnings.push({ cuts: concerned, message });
+
+        if (workpieceDim.y > machine.swingOverBed) {
+            warn([], `The blank (Ø${workpieceDim.y} mm) exceeds the swing over bed of ${machine.name} (${machine.swingOverBed} mm).`);
+        }
+        if (workpieceDim.y / 2 > machine.centreHeight) {
+            warn([], `The blank radius (${workpieceDim.y / 2} mm) exceeds the centre height of ${machine.name} (${machine.centreHeight} mm).`);
+        }
+
+        all.forEach(cut => {
+            if (outline) {
+                const entry = CutGeometry.outlineEntryPoint(cut, kerf / 2, outline);
+                if (!entry || entry.y <= 0 || entry.x <= 0) {
+                    warn([cut], `${name(cut)} does not enter the blank through its outline.`);
+                }
+            } else {
+                const entry = CutGeometry.entryPoint(cut, kerf / 2, faceX);
+                if (!entry || entry.y <= 0 || entry.y >= rimY) {
+                    warn([cut], `${name(cut)} does not enter the blank through the face.`);
+                }
+            }
+            if (CutGeometry.tip(cut, kerf / 2).x < 0) {
+                warn([cut], `${name(cut)} exits through the base.`);
+            }
+            if (!CutGeometry.isTailstockReachable(cut.center, cut.rotation, machine)) {
+                warn([cut], `${name(cut)} is out of the tailstock range.`);
+            }
+            if (CutGeometry.entersMount(cut, kerf, mount)) {
+                warn([cut], `${name(cut)} cuts into the ${MOUNT_TYPES[mount.type]}.`);
+            }
+        });
+
+        const overlapping = new Set();
+        all.forEach((a, i) => {
+            all.slice(i + 1).forEach(b => {
+                if (PlanValidator.arcDistance(a, b, workpieceDim, outline) < kerf) {
+                    overlapping.add(a).add(b);
+                    warn([a, b], `${name(a)} and ${name(b).toLowerCase()} overlap.`);
+                }
+            });
+        });
+
+        for (let i = 1; i < all.length; i++) {
+            const inner = all[i - 1];
+            const outer = all[i];
+            if (overlapping.has(inner) && overlapping.has(outer)) {
+                continue;
+            }
+            const wall = BowlReport.wallThickness(inner, outer, kerf, workpieceDim, 1, outline);
+            if (wall !== null && wall < minWall) {
+                warn([inner, outer], `Wall between ${name(inner).toLowerCase()} and ${name(outer).toLowerCase()} is ${wall.toFixed(0)} mm (min. ${minWall} mm).`);
+            }
+            const base = CutGeometry.tip(inner, kerf / 2).x - CutGeometry.tip(outer, -kerf / 2).x;
+            if (base < minBase) {
+                warn([inner, outer], `Base between ${name(inner).toLowerCase()} and ${name(outer).toLowerCase()} is ${base.toFixed(0)} mm (min. ${minBase} mm).`);
+            }
+        }
+
+        // the outermost bowl is walled by the blank itself
+        const outermost = all[all.length - 1];
+        if (outermost && !overlapping.has(outermost)) {
+            const wall = BowlReport.outerWallThickness(outermost, kerf, workpieceDim, 0.5, outline);
+            if (wall !== null && wall < minWall) {
+                const surface = outline ? "the blank outline" : "the rim";
+                warn([outermost], `Wall between ${name(outermost).toLowerCase()} and ${surface} is ${wall.toFixed(0)} mm (min. ${minWall} mm).`);
+            }
+        }
+        return warnings;
+    }
+
+    /**
+     * Shortest distance between the parts of two cut arcs that lie in the blank.
+     * @param {Vector[]|null} [outline=null] - The outline of an irregular blank, see BlankProfile.woodOutline.
+     * @returns {number} The distance, Infinity if an arc misses the blank.
+     */
+    static arcDistance(a, b, workpieceDim, outline = null) {
+        const inBlank = outline
+            ? (p) => MathUtils.isPointInPolygon(new Vector(p.x, Math.abs(p.y)), outline)
+            : (p) => p.x >= 0 && p.x <= workpieceDim.x && Math.abs(p.y) <= workpieceDim.y / 2;
+        const distance = (from, to) => Math.min(Infinity,
+            ...CutGeometry.arcPoints(from, 0, 0.5).filter(inBlank).map(p => CutGeometry.distanceToArc(p, to)));
+        return Math.min(distance(a, b), distance(b, a));
+    }
+}
+
+// Fill colours of the bowls, repeated for more bowls
+const BOWL_COLORS = ["#f4a261", "#e9c46a", "#2a9d8f", "#e76f51", "#8ab17d", "#a5668b"];
+
+/**
+ * Standalone SVG file of the blank cross-section with the coloured bowls, the kerf of every
+ * stored cut and the bowl labels, e.g. written by cli.js. Uses the drawing coordinates like on
+ * screen: the stored cuts below the centerline are mirrored above it, and a cut crossing the
+ * centerline is drawn folded over the axis like the revolved cut.
+ */
+class PlanSvg {
+    /**
+     * The blade arc from the tip to the start, and the breakline from the tip to the centerline.
+     * @param {Cut} cut - The cut.
+     * @returns {string} SVG path data.
+     */
+    static arcPath(cut) {
+        const tip = CutGeometry.tip(cut);
+        const start = CutGeometry.start(cut);
+        const largeArcFlag = cut.arcDegrees > 180 ? 1 : 0;
+        return `M ${tip.x} ${tip.y} A ${cut.radius} ${cut.radius} 0 ${largeArcFlag} 0 ${start.x} ${start.y} M ${tip.x} ${tip.y} L ${tip.x} 0`;
+    }
+
+    /**
+     * The blade arc of a cut crossing the centerline, folded over the axis: the arc and its mirror
+     * image, and the breakline between the tips unless the tip lies past the centerline.
+     * @param {Cut} cut - The cut.
+     * @returns {string} SVG path data.
+     */
+    static foldedArcPath(cut) {
+        const tip = CutGeometry.tip(cut);
+        const start = CutGeometry.start(cut);
+        const largeArcFlag = cut.arcDegrees > 180 ? 1 : 0;
+        return `M ${tip.x} ${tip.y} A ${cut.radius} ${cut.radius} 0 ${largeArcFlag} 0 ${start.x} ${start.y} `
+            + `M ${tip.x} ${-tip.y} A ${cut.radius} ${cut.radius} 0 ${largeArcFlag} 1 ${start.x} ${-start.y}`
+            + (tip.y > 0 ? ` M ${tip.x} ${tip.y} L ${tip.x} ${-tip.y}` : "");
+    }
+
+    /**
+     * The blank cross-section and the shape to clip to it.
+     * @param {Vector} workpieceDim - The blank height (x) and diameter (y).
+     * @param {object|null} [profile=null] - The outline of an irregular blank, see BlankProfile.
+     * @returns {{blank: string, clip: string}} SVG markup.
+     */
+    static blank(workpieceDim, profile = null) {
+        const rimY = workpieceDim.y / 2;
+        if (!profile) {
+            const rect = `x="0" y="${-rimY}" width="${workpieceDim.x}" height="${workpieceDim.y}"`;
+            return { blank: `<rect ${rect} fill="#f4ecd8" stroke="black" />`, clip: `<rect ${rect} />` };
+        }
+        const outline = BlankProfile.outline(profile);
+        // the bark around the wood
+        return {
+            blank: `<path d="${BlankProfile.sectionPath(outline)}" fill="#8b6b4a" stroke="black" />
+  <path d="${BlankProfile.sectionPath(BlankProfile.woodOutline(profile))}" fill="#f4ecd8" />`,
+            clip: `<path d="${BlankProfile.sectionPath(outline)}" />`,
+        };
+    }
+
+    /**
+     * The cuts below the centerline and mirrored above it, those crossing the centerline folded.
+     * @param {Cut[]} cuts - The cuts.
+     * @param {number} faceX - The x-coordinate of the blank face.
+     * @param {function(Cut): string} attributes - The attributes of the path of a cut, e.g. the stroke.
+     * @returns {string} SVG markup, to clip to the blank.
+     */
+    static cutPaths(cuts, faceX, attributes) {
+        const path = (cut, d) => `<path d="${d}" fill="none" ${attributes(cut)} />`;
+        const crossing = (cut) => CutGeometry.crossesCenterline(cut, faceX);
+        const paths = cuts.filter(cut => !crossing(cut)).map(cut => path(cut, PlanSvg.arcPath(cut))).join("\n      ");
+        const folded = cuts.filter(crossing).map(cut => path(cut, PlanSvg.foldedArcPath(cut))).join("\n    ");
+        return `<g>
+      ${paths}
+    </g>
+    <g transform="scale(1,-1)">
+      ${paths}
+    </g>
+    ${folded}`;
+    }
+
+    /**
+     * @param {object} model
+     * @param {Vector} model.workpieceDim - The blank height (x) and diameter (y).
+     * @param {Cut[]} model.cuts - The stored cuts.
+     * @param {number} model.kerf - The cutter kerf.
+     * @param {object[]} [model.bowls=[]] - The bowls from BowlReport.compute to label.
+     * @param {object|null} [model.mount=null] - The mount zone to hatch, see CoringPlan.parseMount.
+     * @param {object|null} [model.profile=null] - The outline of an irregular blank, see BlankProfile.
+     * @returns {string} The SVG document, 1 unit = 1 mm.
+     */
+    static build({ workpieceDim, cuts, kerf, bowls = [], mount = null, profile = null }) {
+        const rimY = workpieceDim.y / 2;
+        const margin = 20;
+        const woodOutline = profile ? BlankProfile.woodOutline(profile) : null;
+        const { blank, clip } = PlanSvg.blank(workpieceDim, profile);
+        const regions = BowlReport.regions(cuts, kerf, workpieceDim, woodOutline).map((region, i) =>
+            `<path d="${MaterialRegion.toPath(region)}" fill="${BOWL_COLORS[i % BOWL_COLORS.length]}" fill-rule="evenodd" />`).join("\n      ");
+        const width = workpieceDim.x + 2 * margin;
+        const height = workpieceDim.y + 2 * margin;
+        const labels = bowls.map(bowl => {
+            const text = bowl.rimDiameter === null ? `#${bowl.index}` : `#${bowl.index} Ø${bowl.rimDiameter.toFixed(0)}`;
+            return `<text x="${bowl.labelPosition.x}" y="${bowl.labelPosition.y}" font-size="8" text-anchor="middle">${text}</text>`;
+        }).join("\n  ");
+        const mountZone = mount
+            ? `<rect x="0" y="${-mount.diameter / 2}" width="${mount.depth}" height="${mount.diameter}" fill="url(#mount-hatch)" stroke="gray" />`
+            : "";
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="${-margin} ${-rimY - margin} ${width} ${height}">
+  <defs>
+    <clipPath id="blank">${clip}</clipPath>
+    <pattern id="mount-hatch" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+      <line x1="0" y1="0" x2="0" y2="6" stroke="gray" />
+    </pattern>
+  </defs>
+  ${blank}
+  <g clip-path="url(#blank)">
+    <g>
+      ${regions}
+    </g>
+    <g transform="scale(1,-1)">
+      ${regions}
+    </g>
+    ${PlanSvg.cutPaths(cuts, workpieceDim.x, () => `stroke="#8b5a2b" stroke-opacity="0.6" stroke-width="${kerf}"`)}
+  </g>
+  ${mountZone}
+  <line x1="${-margin}" y1="0" x2="${workpieceDim.x + margin}" y2="0" stroke="blue" stroke-dasharray="5,5,1,5" />
+  ${labels}
+</svg>
+`;
+    }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        MathUtils,
+        Vector,
+        Cut,
+        checkNumber,
+        checkPositive,
+        ProfileLibrary,
+        DEFAULT_CUTTERS,
+        CutterLibrary,
+        DEFAULT_MACHINES,
+        MachineLibrary,
+        BlankProfile,
+        PLAN_FORMAT,
+        PLAN_VERSION,
+        MOUNT_TYPES,
+        CoringPlan,
+        CutGeometry,
+        MaterialRegion,
+        WOOD_SPECIES,
+        BowlReport,
+        CoringPlanner,
+        PlanValidator,
+        BOWL_COLORS,
+        PlanSvg,
+    };
+}
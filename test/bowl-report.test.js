@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Vector, Cut, BlankProfile, BowlReport } = require("../model.js");
+
+const workpieceDim = new Vector(80, 300);
+const kerf = 10;
+// two cuts around the same center, 20 mm apart
+const inner = new Cut(new Vector(130, 20), -10, 90, 90);
+const outer = new Cut(new Vector(130, 20), -10, 110, 90);
+
+const near = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+test("sortCuts orders innermost first", () => {
+    assert.deepEqual(BowlReport.sortCuts([outer, inner]), [inner, outer]);
+});
+
+test("wallThickness between concentric cuts is the gap less the kerf", () => {
+    near(BowlReport.wallThickness(inner, outer, kerf, workpieceDim), 20 - kerf);
+});
+
+test("wallSamples are 0 where the kerfs overlap", () => {
+    const samples = BowlReport.wallSamples(inner, outer, kerf, workpieceDim);
+    assert.ok(samples.length > 0);
+    samples.forEach(sample => near(sample.thickness, 20 - kerf));
+    BowlReport.wallSamples(inner, inner, kerf, workpieceDim).forEach(sample => assert.equal(sample.thickness, 0));
+});
+
+test("thinnestWall is the same measured from either cut", () => {
+    const tilted = new Cut(new Vector(140, 25), -20, 110, 90);
+    const along = BowlReport.thinnestWall(inner, tilted, kerf, workpieceDim);
+    const back = BowlReport.thinnestWall(tilted, inner, kerf, workpieceDim);
+    near(along.thickness, back.thickness);
+    const samples = [
+        ...BowlReport.wallSamples(inner, tilted, kerf, workpieceDim),
+        ...BowlReport.wallSamples(tilted, inner, kerf, workpieceDim),
+    ];
+    near(along.thickness, Math.min(...samples.map(sample => sample.thickness)));
+    assert.equal(BowlReport.wallThickness(inner, inner, kerf, workpieceDim), 0);
+});
+
+test("outerWallThickness of a cylinder runs up to the rim", () => {
+    const samples = BowlReport.outerWallSamples(outer, kerf, workpieceDim);
+    assert.ok(samples.length > 0);
+    samples.forEach(sample => near(sample.thickness, workpieceDim.y / 2 - sample.point.y));
+    const outline = BlankProfile.outline(BlankProfile.cylinder(workpieceDim));
+    near(BowlReport.outerWallThickness(outer, kerf, workpieceDim, 0.5, outline),
+        BowlReport.outerWallThickness(outer, kerf, workpieceDim));
+});
+
+test("compute reports one bowl more than cuts and accounts for the whole blank", () => {
+    const bowls = BowlReport.compute([outer, inner], kerf, workpieceDim);
+    assert.equal(bowls.length, 3);
+    assert.deepEqual(bowls.map(bowl => bowl.index), [1, 2, 3]);
+    assert.equal(bowls[0].wallThickness, null);
+    near(bowls[1].wallThickness, 20 - kerf);
+    assert.equal(bowls[2].rimDiameter, workpieceDim.y);
+    assert.equal(bowls[2].depth, workpieceDim.x);
+    const total = bowls.reduce((sum, bowl) => sum + bowl.volume, 0) + BowlReport.kerfVolume([inner, outer], kerf, workpieceDim);
+    near(total, Math.PI * 150 * 150 * 80, 1);
+});
+
+test("compute without cuts", () => {
+    assert.deepEqual(BowlReport.compute([], kerf, workpieceDim), []);
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bowlsaver-cli-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Write a plan file and return its path
+const writePlan = (name, data) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof data === "string" ? data : JSON.stringify(data));
+    return file;
+};
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", timeout: 30000 });
+
+const handWritten = {
+    workpiece: { diameter: 300, height: 80 },
+    cutter: { name: "Small", radius: 90, kerf: 10, arcDegrees: 90 },
+    cuts: [{ center: { x: 130, y: 20 }, rotation: -10, radius: 90 }],
+};
+
+test("a plan without warnings exits with 0", () => {
+    const result = run(writePlan("hand.json", handWritten));
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Ø300 × 80 mm blank, Small cutter, 1 cut/);
+    assert.match(result.stdout, /No warnings\./);
+});
+
+test("a plan with warnings exits with 1", () => {
+    // 10 mm between the kerfs
+    const cuts = [...handWritten.cuts, { center: { x: 130, y: 20 }, rotation: -10, radius: 110 }];
+    const result = run("--min-wall", "30", writePlan("thin.json", { ...handWritten, cuts }));
+    assert.equal(result.status, 1, result.stderr);
+    assert.match(result.stdout, /Warning: Wall between cut 1 and cut 2 is 10 mm \(min\. 30 mm\)\./);
+});
+
+test("a cutter given by its diameter is read like version 1", () => {
+    const result = run(writePlan("diameter.json", { ...handWritten, cutter: { diameter: 180 } }));
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Ø180 mm cutter/);
+});
+
+test("unreadable plans and options exit with 2", () => {
+    const good = writePlan("good.json", handWritten);
+    const bad = writePlan("bad.json", { format: "x" });
+    const broken = writePlan("broken.json", "{");
+
+    const result = run(good, bad, broken);
+    assert.equal(result.status, 2);
+    // every failing file is reported, the readable one still checked
+    assert.match(result.stderr, /bad\.json: not a bowlsaver plan/);
+    assert.match(result.stderr, /broken\.json: /);
+    assert.match(result.stdout, /good\.json: /);
+
+    assert.equal(run("--min-wall", "0", good).status, 2);
+    assert.equal(run("--unknown", good).status, 2);
+});
+
+test("a blank without size and a failing write exit with 2", () => {
+    const zero = writePlan("zero.json", { ...handWritten, workpiece: { diameter: 0, height: 80 } });
+    const result = run(zero);
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /zero\.json: workpiece\.diameter must be positive/);
+
+    // the SVG cannot replace a directory
+    fs.mkdirSync(path.join(dir, "blocked.svg"));
+    const blocked = run("--svg", writePlan("blocked.json", handWritten));
+    assert.equal(blocked.status, 2);
+    assert.match(blocked.stderr, /blocked\.json: /);
+});
+
+test("--json prints the reports", () => {
+    const result = run("--json", writePlan("json.json", handWritten));
+    assert.equal(result.status, 0, result.stderr);
+    const [report] = JSON.parse(result.stdout);
+    assert.equal(report.bowls.length, 2);
+    assert.deepEqual(report.warnings, []);
+    assert.equal(report.svg, undefined);
+});
+
+test("--svg writes the cross-section next to the plan", () => {
+    const result = run("--svg", writePlan("drawn.json", handWritten));
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(fs.readFileSync(path.join(dir, "drawn.svg"), "utf8"), /^<\?xml[^]*<svg /);
+});
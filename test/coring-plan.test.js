@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CoringPlan, PLAN_FORMAT, PLAN_VERSION, DEFAULT_CUTTERS } = require("../model.js");
+
+const plan = (changes = {}) => ({
+    format: PLAN_FORMAT,
+    version: PLAN_VERSION,
+    workpiece: { diameter: 300, height: 80 },
+    cutter: { name: "Small", radius: 90, kerf: 10, arcDegrees: 90 },
+    assembly: { center: { x: 160, y: 20 }, rotation: -10 },
+    cuts: [{ center: { x: 130, y: 20 }, rotation: -10, radius: 90 }],
+    ...changes,
+});
+
+test("parse normalizes a plan", () => {
+    const parsed = CoringPlan.parse(plan());
+    assert.equal(parsed.version, PLAN_VERSION);
+    assert.equal(parsed.workpiece.diameter, 300);
+    assert.equal(parsed.workpiece.height, 80);
+    assert.equal(parsed.workpiece.mount, null);
+    assert.equal(parsed.machine, null);
+    assert.deepEqual(parsed.cuts, [{ center: { x: 130, y: 20 }, rotation: -10, radius: 90, arcDegrees: 90, locked: false }]);
+});
+
+test("parse reads the mount", () => {
+    const mount = { type: "tenon", diameter: 60, depth: 10 };
+    assert.deepEqual(CoringPlan.parse(plan({ workpiece: { diameter: 300, height: 80, mount } })).workpiece.mount, mount);
+    assert.throws(() => CoringPlan.parse(plan({ workpiece: { diameter: 300, height: 80, mount: { type: "glue" } } })), /mount type/);
+    assert.throws(() => CoringPlan.parse(plan({ workpiece: { diameter: 300, height: 80, mount: { ...mount, depth: 0 } } })),
+        /workpiece\.mount\.depth/);
+});
+
+test("parse reads the blank outline", () => {
+    assert.equal(CoringPlan.parse(plan()).workpiece.profile, null);
+    const profile = { points: [{ x: 0, y: 0 }, { x: 0, y: 150 }, { x: 80, y: 100 }, { x: 80, y: 0 }], smooth: false, bark: 5 };
+    assert.deepEqual(CoringPlan.parse(plan({ workpiece: { diameter: 300, height: 80, profile } })).workpiece.profile, profile);
+    const below = { ...profile, points: [...profile.points.slice(0, 3), { x: 80, y: -1 }] };
+    assert.throws(() => CoringPlan.parse(plan({ workpiece: { diameter: 300, height: 80, profile: below } })), /below the centerline/);
+});
+
+test("parse reads the cutter diameter of version 1", () => {
+    const parsed = CoringPlan.parse(plan({ version: 1, cutter: { diameter: 200 } }));
+    assert.equal(parsed.cutter.radius, 100);
+    assert.equal(parsed.cutter.kerf, DEFAULT_CUTTERS[0].kerf);
+    assert.equal(parsed.version, PLAN_VERSION);
+});
+
+test("parse rejects what is not a plan", () => {
+    assert.throws(() => CoringPlan.parse(null), /not a bowlsaver plan/);
+    assert.throws(() => CoringPlan.parse({ format: "x" }), /not a bowlsaver plan/);
+    assert.throws(() => CoringPlan.parse(plan({ version: PLAN_VERSION + 1 })), /unsupported plan version/);
+    assert.throws(() => CoringPlan.parse(plan({ cuts: undefined })), /missing cuts/);
+    assert.throws(() => CoringPlan.parse(plan({ cuts: [{ center: { x: 130 }, rotation: 0, radius: 90 }] })), /cuts\[0\]\.center\.y/);
+});
+
+test("parse rejects a blank without size", () => {
+    assert.throws(() => CoringPlan.parse(plan({ workpiece: { diameter: 0, height: 80 } })), /workpiece\.diameter must be positive/);
+    assert.throws(() => CoringPlan.parse(plan({ workpiece: { diameter: 300, height: -5 } })), /workpiece\.height must be positive/);
+});
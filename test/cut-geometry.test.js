@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Vector, Cut, CutGeometry, BlankProfile } = require("../model.js");
+
+const workpieceDim = new Vector(80, 300);
+const cut = new Cut(new Vector(130, 20), -10, 90, 90);
+
+const near = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+test("closestPointOnArc falls back to the nearer end", () => {
+    near(CutGeometry.distanceToArc(cut.center.add(new Vector(0, 50)), cut), 40);
+    const beyondTip = CutGeometry.tip(cut).add(new Vector(0, -10));
+    assert.deepEqual(CutGeometry.closestPointOnArc(beyondTip, cut), CutGeometry.tip(cut));
+});
+
+test("crossesCenterline", () => {
+    assert.equal(CutGeometry.crossesCenterline(cut, workpieceDim.x), false);
+    assert.equal(CutGeometry.crossesCenterline(new Cut(new Vector(150, -40), 0, 90, 90), workpieceDim.x), true);
+});
+
+test("outlineEntryPoint of a cylinder outline matches entryPoint", () => {
+    const outline = BlankProfile.outline(BlankProfile.cylinder(workpieceDim));
+    [-5, 0, 5].forEach(offset => {
+        const expected = CutGeometry.entryPoint(cut, offset, workpieceDim.x);
+        const entry = CutGeometry.outlineEntryPoint(cut, offset, outline);
+        near(entry.x, expected.x);
+        near(entry.y, expected.y);
+    });
+    assert.equal(CutGeometry.outlineEntryPoint(new Cut(new Vector(300, 20), 0, 90, 90), 0, outline), null);
+});
@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MathUtils, Vector } = require("../model.js");
+
+test("intersectionSegmentCircle finds both crossings of a chord", () => {
+    const points = MathUtils.intersectionSegmentCircle(new Vector(-20, 0), new Vector(20, 0), new Vector(0, 0), 10);
+    assert.deepEqual(points.map(p => [p.x, p.y]).sort((a, b) => a[0] - b[0]), [[-10, 0], [10, 0]]);
+    assert.equal(MathUtils.intersectionSegmentCircle(new Vector(-20, 20), new Vector(20, 20), new Vector(0, 0), 10).length, 0);
+});
+
+test("isPointInPolygon", () => {
+    const square = [new Vector(0, 0), new Vector(0, 10), new Vector(10, 10), new Vector(10, 0)];
+    assert.equal(MathUtils.isPointInPolygon(new Vector(5, 5), square), true);
+    assert.equal(MathUtils.isPointInPolygon(new Vector(15, 5), square), false);
+    assert.equal(MathUtils.isPointInPolygon(new Vector(5, -1), square), false);
+});
+
+test("closestPointOnSegment clamps to the ends", () => {
+    const a = new Vector(0, 0);
+    const b = new Vector(10, 0);
+    assert.deepEqual(MathUtils.closestPointOnSegment(new Vector(4, 3), a, b), new Vector(4, 0));
+    assert.deepEqual(MathUtils.closestPointOnSegment(new Vector(-5, 3), a, b), a);
+    assert.deepEqual(MathUtils.closestPointOnSegment(new Vector(15, -3), a, b), b);
+});
+
+test("revolvedVolume of a rectangle on the axis is a cylinder", () => {
+    const volume = MathUtils.revolvedVolume([new Vector(0, 0), new Vector(0, 10), new Vector(20, 10), new Vector(20, 0)]);
+    assert.ok(Math.abs(volume - Math.PI * 10 * 10 * 20) < 1e-6);
+});
@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Vector, Cut, BlankProfile, PlanValidator, DEFAULT_MACHINES } = require("../model.js");
+
+const workpieceDim = new Vector(80, 300);
+const kerf = 10;
+
+const messages = (cuts, outline = null) => PlanValidator.validate({
+    cuts,
+    currentCut: null,
+    kerf,
+    workpieceDim,
+    machine: DEFAULT_MACHINES[0],
+    minWall: 10,
+    minBase: 10,
+    outline,
+}).map(warning => warning.message);
+
+test("warns about a thin wall to the rim", () => {
+    const rim = (cut) => messages([cut]).filter(message => message.includes("rim"));
+    assert.deepEqual(rim(new Cut(new Vector(130, 20), -10, 90, 90)), []);
+    assert.equal(rim(new Cut(new Vector(130, 70), -10, 90, 90)).length, 1);
+});
+
+test("arcs meeting outside an irregular blank do not overlap", () => {
+    // they cross in the corner the round of the log leaves empty
+    const cuts = [new Cut(new Vector(137, 51), 0, 90, 90), new Cut(new Vector(86, 31), -1, 90, 90)];
+    const outline = BlankProfile.woodOutline(BlankProfile.naturalEdge(workpieceDim, 160, 0));
+    const overlap = (outline) => messages(cuts, outline).filter(message => message.includes("overlap"));
+    assert.equal(overlap(null).length, 1);
+    assert.deepEqual(overlap(outline), []);
+});